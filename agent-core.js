@@ -0,0 +1,2286 @@
+// LLM Agent POC - Agent core
+// The conversation, LLM and tool engine, free of DOM access so it also runs in Node.
+// Loaded before app.js in the page; in Node, require() it for tests and scripts.
+
+// Tool message sent to the model when the user rejects a tool call
+const TOOL_REJECTED_PREFIX = 'The user rejected this tool call.';
+
+// System prompt of the built-in Default profile
+const DEFAULT_SYSTEM_PROMPT = `You are a helpful assistant running in the user's browser, with tools you can call.
+- search_web: use it for current events, recent facts and anything you are not sure about. Results are numbered; cite them as [1], [2].
+- ai_pipe: use it to run a separate LLM workflow over data, such as summarizing, extracting, classifying or translating text.
+- execute_js: use it for calculations, data processing and anything that needs an exact answer. Return the value or print it with console.log.
+Answer directly when no tool is needed. Keep answers concise.`;
+
+// Default prices in USD per million tokens: [provider, model name prefix, input, output]
+const DEFAULT_MODEL_PRICES = [
+    ['openai', 'gpt-4.1', 2.00, 8.00],
+    ['openai', 'gpt-4.1-mini', 0.40, 1.60],
+    ['openai', 'gpt-4.1-nano', 0.10, 0.40],
+    ['openai', 'gpt-4o', 2.50, 10.00],
+    ['openai', 'gpt-4o-mini', 0.15, 0.60],
+    ['openai', 'o3-mini', 1.10, 4.40],
+    ['openai', 'o4-mini', 1.10, 4.40],
+    ['openai', 'gpt-3.5-turbo', 0.50, 1.50],
+    ['anthropic', 'claude-3-5-haiku', 0.80, 4.00],
+    ['anthropic', 'claude-3-5-sonnet', 3.00, 15.00],
+    ['anthropic', 'claude-3-7-sonnet', 3.00, 15.00],
+    ['anthropic', 'claude-sonnet-4', 3.00, 15.00],
+    ['anthropic', 'claude-opus-4', 15.00, 75.00],
+    ['groq', 'llama-3.3-70b-versatile', 0.59, 0.79],
+    ['groq', 'llama-3.1-8b-instant', 0.05, 0.08]
+];
+
+// Context window sizes in tokens, matched against the model name in order
+const MODEL_CONTEXT_WINDOWS = [
+    [/gpt-4\.1/, 1047576],
+    [/gpt-5/, 400000],
+    [/gpt-4o|gpt-4-turbo|\bo[134]\b|\bo[134]-/, 128000],
+    [/gpt-3\.5-turbo/, 16385],
+    [/gpt-4/, 8192],
+    [/claude/, 200000],
+    [/gemini/, 1048576],
+    [/llama-?3\.[1-3]|llama-?4/, 128000],
+    [/mixtral|mistral/, 32768]
+];
+
+// Models that accept image input, matched against the model name
+const VISION_MODEL_PATTERNS = [
+    /gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-vision|gpt-5|(^|\/)o[134](?!-mini|-preview)|(^|\/)o4-mini/,
+    /claude-3|claude-(sonnet|opus|haiku)-4/,
+    /gemini|gemma-3/,
+    /llama-?3\.2-\d+b-vision|llama-?4|llava|pixtral|qwen.*vl/
+];
+
+// Yields { event, data } for each server-sent event in a fetch response body. Events
+// without data are skipped; event defaults to 'message'.
+async function* readServerSentEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let event = '';
+    let dataLines = [];
+
+    const processLine = (line) => {
+        if (line === '') {
+            const data = dataLines.join('\n');
+            const parsed = data ? { event: event || 'message', data } : null;
+            event = '';
+            dataLines = [];
+            return parsed;
+        }
+        if (line.startsWith(':')) return null;
+        if (line.startsWith('data:')) {
+            dataLines.push(line.slice(5).replace(/^ /, ''));
+        } else if (line.startsWith('event:')) {
+            event = line.slice(6).trim();
+        }
+        return null;
+    };
+
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            buffer += decoder.decode(value, { stream: !done });
+
+            const lines = buffer.split(/\r\n|\r|\n/);
+            buffer = done ? '' : lines.pop();
+            if (done) lines.push('');
+
+            for (const line of lines) {
+                const parsed = processLine(line);
+                if (parsed) yield parsed;
+            }
+
+            if (done) break;
+        }
+    } finally {
+        reader.releaseLock();
+    }
+}
+
+// Error from an LLM request. retryable marks transient failures (rate limits, overload,
+// 5xx, network); retryAfterMs carries the server's Retry-After hint when present.
+class LLMError extends Error {
+    constructor(message, { status = null, retryable = false, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.status = status;
+        this.retryable = retryable;
+        this.retryAfterMs = retryAfterMs;
+    }
+}
+
+// Provider adapters translate between the agent's internal OpenAI-style conversation
+// ({ role, content, tool_calls } / { role: 'tool', tool_call_id, content }) and a
+// provider's wire format. Every adapter returns assistant messages as
+// { role: 'assistant', content, tool_calls } so agentLoop stays provider-agnostic.
+class OpenAIAdapter {
+    buildRequest({ config, messages, tools, stream, maxTokens, temperature }) {
+        const body = {
+            model: config.model,
+            messages: messages,
+            max_tokens: maxTokens,
+            temperature: temperature
+        };
+        if (tools.length > 0) {
+            body.tools = tools;
+            body.tool_choice = 'auto';
+        }
+        if (stream) {
+            body.stream = true;
+            // Some compatible servers reject stream_options; the others may send no usage
+            if (this.isOpenAI(config.baseUrl)) {
+                body.stream_options = { include_usage: true };
+            }
+        }
+
+        return {
+            url: `${config.baseUrl}/chat/completions`,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.apiKey}`
+            },
+            body
+        };
+    }
+
+    isOpenAI(baseUrl) {
+        try {
+            return new URL(baseUrl).hostname === 'api.openai.com';
+        } catch {
+            return false;
+        }
+    }
+
+    parseResponse(data) {
+        const message = data.choices[0].message;
+        return {
+            role: 'assistant',
+            content: message.content,
+            tool_calls: message.tool_calls,
+            usage: this.parseUsage(data.usage)
+        };
+    }
+
+    parseUsage(usage) {
+        if (!usage) return null;
+        return {
+            promptTokens: usage.prompt_tokens || 0,
+            completionTokens: usage.completion_tokens || 0
+        };
+    }
+
+    // Returns { push(data) => text delta or null, done, result() => message }
+    createStreamAssembler() {
+        let content = '';
+        let usage = null;
+        const toolCalls = [];
+        const assembler = {
+            done: false,
+            push(data) {
+                if (data === '[DONE]') {
+                    assembler.done = true;
+                    return null;
+                }
+
+                const chunk = JSON.parse(data);
+                if (chunk.error) {
+                    throw new LLMError(`LLM API error: ${chunk.error.message || JSON.stringify(chunk.error)}`, {
+                        retryable: /rate|overload|timeout|server/i.test(`${chunk.error.type} ${chunk.error.code}`)
+                    });
+                }
+                if (chunk.usage) {
+                    usage = chunk.usage;
+                }
+
+                const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+                if (!delta) return null;
+
+                (delta.tool_calls || []).forEach(part => {
+                    const index = assembler.toolCallIndex(part);
+                    if (!toolCalls[index]) {
+                        toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+                    }
+                    const toolCall = toolCalls[index];
+                    if (part.id) toolCall.id = part.id;
+                    if (part.type) toolCall.type = part.type;
+                    if (part.function) {
+                        // The name comes whole in the first fragment; some servers repeat it
+                        if (part.function.name && !toolCall.function.name) toolCall.function.name = part.function.name;
+                        if (part.function.arguments) toolCall.function.arguments += part.function.arguments;
+                    }
+                });
+
+                if (delta.content) {
+                    content += delta.content;
+                    return delta.content;
+                }
+                return null;
+            },
+            // Fragments without an index (some compatible servers) belong to the call with
+            // their id, or continue the latest call
+            toolCallIndex(part) {
+                if (part.index !== undefined) return part.index;
+                if (part.id) {
+                    const index = toolCalls.findIndex(toolCall => toolCall && toolCall.id === part.id);
+                    return index >= 0 ? index : toolCalls.length;
+                }
+                return Math.max(0, toolCalls.length - 1);
+            },
+            result() {
+                const assembled = toolCalls.filter(Boolean);
+                return {
+                    role: 'assistant',
+                    content: content || null,
+                    tool_calls: assembled.length > 0 ? assembled : undefined,
+                    usage: OpenAIAdapter.prototype.parseUsage(usage)
+                };
+            }
+        };
+        return assembler;
+    }
+}
+
+// Anthropic Messages API: system prompt as a separate field, tool calls and results as
+// tool_use / tool_result content blocks, and x-api-key + anthropic-version headers.
+class AnthropicAdapter {
+    constructor(version = '2023-06-01') {
+        this.version = version;
+    }
+
+    buildRequest({ config, messages, tools, stream, maxTokens, temperature }) {
+        const { system, messages: translated } = this.toAnthropicMessages(messages);
+        const body = {
+            model: config.model,
+            messages: translated,
+            max_tokens: maxTokens,
+            // Profiles allow up to 2 (OpenAI's range); Anthropic accepts 0 to 1
+            temperature: typeof temperature === 'number' ? Math.min(temperature, 1) : temperature
+        };
+        if (system) {
+            body.system = system;
+        }
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description || '',
+                input_schema: tool.function.parameters || { type: 'object', properties: {} }
+            }));
+            body.tool_choice = { type: 'auto' };
+        }
+        if (stream) {
+            body.stream = true;
+        }
+
+        return {
+            url: `${config.baseUrl}/messages`,
+            headers: {
+                'Content-Type': 'application/json',
+                'x-api-key': config.apiKey,
+                'anthropic-version': this.version,
+                'anthropic-dangerous-direct-browser-access': 'true'
+            },
+            body
+        };
+    }
+
+    toAnthropicMessages(messages) {
+        const systemParts = [];
+        const translated = [];
+
+        // Anthropic expects alternating turns, so consecutive blocks for the same role
+        // (e.g. several tool results, or tool results followed by a user message) are merged.
+        const append = (role, blocks) => {
+            const previous = translated[translated.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                translated.push({ role, content: blocks });
+            }
+        };
+
+        messages.forEach(message => {
+            if (message.role === 'system') {
+                systemParts.push(message.content);
+            } else if (message.role === 'user') {
+                append('user', this.toContentBlocks(message.content));
+            } else if (message.role === 'assistant') {
+                const blocks = [];
+                if (message.content) {
+                    blocks.push({ type: 'text', text: message.content });
+                }
+                (message.tool_calls || []).forEach(toolCall => {
+                    let input;
+                    try {
+                        input = JSON.parse(toolCall.function.arguments || '{}');
+                    } catch (error) {
+                        input = {};
+                    }
+                    blocks.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input });
+                });
+                if (blocks.length > 0) {
+                    append('assistant', blocks);
+                }
+            } else if (message.role === 'tool') {
+                append('user', [{
+                    type: 'tool_result',
+                    tool_use_id: message.tool_call_id,
+                    content: message.content
+                }]);
+            }
+        });
+
+        return { system: systemParts.join('\n\n'), messages: translated };
+    }
+
+    // Text and image content parts as Anthropic blocks; images go as base64 data or by URL
+    toContentBlocks(content) {
+        if (!Array.isArray(content)) {
+            return [{ type: 'text', text: content }];
+        }
+        return content.map(part => {
+            if (part.type !== 'image_url') {
+                return { type: 'text', text: part.text };
+            }
+            const url = part.image_url.url;
+            const match = /^data:([^;,]+);base64,(.*)$/s.exec(url);
+            return match
+                ? { type: 'image', source: { type: 'base64', media_type: match[1], data: match[2] } }
+                : { type: 'image', source: { type: 'url', url } };
+        });
+    }
+
+    fromContentBlocks(blocks) {
+        const text = blocks
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        const toolCalls = blocks
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({
+                id: block.id,
+                type: 'function',
+                function: {
+                    name: block.name,
+                    arguments: typeof block.input === 'string' ? block.input : JSON.stringify(block.input || {})
+                }
+            }));
+
+        return {
+            role: 'assistant',
+            content: text || null,
+            tool_calls: toolCalls.length > 0 ? toolCalls : undefined
+        };
+    }
+
+    parseResponse(data) {
+        return { ...this.fromContentBlocks(data.content || []), usage: this.parseUsage(data.usage) };
+    }
+
+    parseUsage(usage) {
+        if (!usage) return null;
+        return {
+            promptTokens: usage.input_tokens || 0,
+            completionTokens: usage.output_tokens || 0
+        };
+    }
+
+    createStreamAssembler() {
+        const blocks = [];
+        const usage = {};
+        const assembler = {
+            done: false,
+            push: (data) => {
+                const event = JSON.parse(data);
+                switch (event.type) {
+                    case 'message_start':
+                        Object.assign(usage, event.message && event.message.usage);
+                        return null;
+                    case 'message_delta':
+                        Object.assign(usage, event.usage);
+                        return null;
+                    case 'content_block_start': {
+                        const start = event.content_block;
+                        // A tool's id and name come only here; its deltas carry the input JSON
+                        blocks[event.index] = start.type === 'tool_use'
+                            ? { type: 'tool_use', id: start.id, name: start.name, input: '' }
+                            : { ...start };
+                        return start.text || null;
+                    }
+                    case 'content_block_delta': {
+                        const block = blocks[event.index];
+                        if (!block) return null;
+                        if (event.delta.type === 'text_delta') {
+                            block.text = (block.text || '') + event.delta.text;
+                            return event.delta.text;
+                        }
+                        if (event.delta.type === 'input_json_delta') {
+                            block.input += event.delta.partial_json;
+                        }
+                        return null;
+                    }
+                    case 'message_stop':
+                        assembler.done = true;
+                        return null;
+                    case 'error':
+                        throw new LLMError(`LLM API error: ${event.error.message || JSON.stringify(event.error)}`, {
+                            retryable: ['overloaded_error', 'api_error', 'rate_limit_error'].includes(event.error.type)
+                        });
+                    default:
+                        return null;
+                }
+            },
+            result: () => ({
+                ...this.fromContentBlocks(blocks.filter(Boolean).map(block =>
+                    block.type === 'tool_use' ? { ...block, input: block.input || '{}' } : block
+                )),
+                usage: this.parseUsage(Object.keys(usage).length > 0 ? usage : null)
+            })
+        };
+        return assembler;
+    }
+}
+
+// Offline adapter that replays scripted responses instead of calling an API, for tests and
+// demos. Each entry answers one request and is either
+//   - a string (assistant text),
+//   - { content, tool_calls: [{ id, name, arguments }], usage: { promptTokens, completionTokens }, delayMs },
+//     where arguments is an object or a JSON string and id is optional; tool calls already in
+//     the OpenAI shape ({ id, type, function: { name, arguments } }) are used as they are,
+//   - an Error, which the request rejects with (use LLMError to exercise retries),
+//   - a function (request, index) => entry, for responses that depend on the request.
+// Every request ({ config, messages, tools, stream, maxTokens, temperature }) is recorded
+// in requests.
+class ScriptedLLMAdapter {
+    constructor(script = []) {
+        this.script = [...script];
+        this.requests = [];
+    }
+
+    async complete(request, { signal, onText } = {}) {
+        const index = this.requests.length;
+        this.requests.push(JSON.parse(JSON.stringify(request)));
+        if (index >= this.script.length) {
+            throw new Error(`Scripted LLM has no response for request ${index + 1}`);
+        }
+
+        let entry = this.script[index];
+        if (typeof entry === 'function') entry = await entry(request, index);
+        if (entry instanceof Error) throw entry;
+        if (typeof entry === 'string') entry = { content: entry };
+
+        if (entry.delayMs) {
+            await new Promise((resolve, reject) => {
+                const timer = setTimeout(resolve, entry.delayMs);
+                if (signal) {
+                    signal.addEventListener('abort', () => {
+                        clearTimeout(timer);
+                        reject(signal.reason);
+                    }, { once: true });
+                }
+            });
+        }
+        if (signal && signal.aborted) throw signal.reason;
+
+        // null is kept: providers answer tool calls with null content
+        const content = entry.content === undefined ? '' : entry.content;
+        if (onText && content) {
+            // Stream word by word so the delta path runs as it does with a real API
+            content.match(/\S+\s*|\s+/g).forEach(chunk => onText(chunk));
+        }
+
+        const toolCalls = (entry.tool_calls || []).map((toolCall, i) => (toolCall.function ? JSON.parse(JSON.stringify(toolCall)) : {
+            id: toolCall.id || `call_${index + 1}_${i + 1}`,
+            type: 'function',
+            function: {
+                name: toolCall.name,
+                arguments: typeof toolCall.arguments === 'string'
+                    ? toolCall.arguments
+                    : JSON.stringify(toolCall.arguments || {})
+            }
+        }));
+
+        return {
+            role: 'assistant',
+            content,
+            tool_calls: toolCalls.length > 0 ? toolCalls : undefined,
+            usage: entry.usage || null
+        };
+    }
+}
+
+// Error from an MCP server: status is the HTTP status, code the JSON-RPC error code
+class MCPError extends Error {
+    constructor(message, { status = null, code = null } = {}) {
+        super(message);
+        this.name = 'MCPError';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+// Model Context Protocol client for one server. Speaks Streamable HTTP (JSON-RPC POSTs
+// answered with JSON or an event stream) and falls back to the older HTTP+SSE transport
+// when the server rejects the initializing POST.
+class MCPClient {
+    constructor(url, { headers = {} } = {}) {
+        this.url = url;
+        this.headers = headers;
+        this.sessionId = null;
+        this.nextId = 1;
+        this.serverInfo = null;
+        // HTTP+SSE transport only: { endpoint, controller, pending: Map(id → { resolve, reject }) }
+        this.legacy = null;
+    }
+
+    async connect(signal) {
+        const params = {
+            protocolVersion: '2025-03-26',
+            capabilities: {},
+            clientInfo: { name: 'llm-agent-poc', version: '1.0.0' }
+        };
+
+        let result;
+        try {
+            result = await this.request('initialize', params, signal);
+        } catch (error) {
+            // Servers with only the HTTP+SSE transport reject the POST with one of these;
+            // anything else (such as 401 or 403) is the server's real answer
+            if (!(error instanceof MCPError) || ![400, 404, 405].includes(error.status)) throw error;
+            await this.openLegacyStream(signal);
+            result = await this.request('initialize', { ...params, protocolVersion: '2024-11-05' }, signal);
+        }
+        this.serverInfo = result.serverInfo || {};
+        await this.notify('notifications/initialized');
+        return result;
+    }
+
+    async listTools(signal) {
+        const tools = [];
+        let cursor = null;
+        do {
+            const result = await this.request('tools/list', cursor ? { cursor } : {}, signal);
+            tools.push(...(result.tools || []));
+            cursor = result.nextCursor;
+        } while (cursor);
+        return tools;
+    }
+
+    // Resolves with the CallToolResult: { content: [{ type: 'text' | 'image' | 'resource', ... }], isError }
+    callTool(name, args, signal) {
+        return this.request('tools/call', { name, arguments: args }, signal);
+    }
+
+    async close() {
+        if (this.legacy) {
+            this.legacy.controller.abort();
+            this.legacy = null;
+            return;
+        }
+        if (!this.sessionId) return;
+        try {
+            await fetch(this.url, { method: 'DELETE', headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId } });
+        } catch (error) {
+            // The server drops the session on its own eventually
+        }
+        this.sessionId = null;
+    }
+
+    async request(method, params, signal) {
+        const id = this.nextId++;
+        const message = { jsonrpc: '2.0', id, method, params };
+
+        // Tell the server to stop work the user cancelled
+        const onAbort = () => this.notify('notifications/cancelled', { requestId: id, reason: 'Cancelled by user' }).catch(() => {});
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        try {
+            const reply = this.legacy
+                ? await this.requestLegacy(message, signal)
+                : await this.requestStreamable(message, signal);
+            if (reply.error) {
+                throw new MCPError(`MCP ${method} failed: ${reply.error.message}`, { code: reply.error.code });
+            }
+            return reply.result || {};
+        } catch (error) {
+            // An expired session answers 404; start a new one and try once more
+            if (error.status === 404 && this.sessionId && method !== 'initialize') {
+                this.sessionId = null;
+                await this.connect(signal);
+                return this.request(method, params, signal);
+            }
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    async requestStreamable(message, signal) {
+        const response = await this.post(message, signal);
+        if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+            return response.json();
+        }
+
+        // The reply may follow server requests and notifications on the stream
+        for await (const { data } of readServerSentEvents(response)) {
+            const reply = JSON.parse(data);
+            if (reply.id === message.id && !reply.method) {
+                response.body.cancel().catch(() => {});
+                return reply;
+            }
+        }
+        throw new MCPError(`MCP server ${this.url} closed the stream without answering ${message.method}`);
+    }
+
+    async requestLegacy(message, signal) {
+        const { pending } = this.legacy;
+        let onAbort = null;
+        const reply = new Promise((resolve, reject) => {
+            pending.set(message.id, { resolve, reject });
+            if (signal) {
+                onAbort = () => reject(signal.reason);
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+        // Observed below unless the POST fails first, which is the error reported then
+        reply.catch(() => {});
+
+        try {
+            await this.post(message, signal);
+            return await reply;
+        } finally {
+            pending.delete(message.id);
+            if (onAbort) signal.removeEventListener('abort', onAbort);
+        }
+    }
+
+    notify(method, params) {
+        return this.post({ jsonrpc: '2.0', method, ...(params ? { params } : {}) });
+    }
+
+    async post(message, signal) {
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+            ...this.headers
+        };
+        if (this.sessionId) headers['Mcp-Session-Id'] = this.sessionId;
+
+        let response;
+        try {
+            response = await fetch(this.legacy ? this.legacy.endpoint : this.url, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(message),
+                signal
+            });
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            throw new MCPError(`Could not reach MCP server ${this.url} (${error.message})`);
+        }
+
+        const sessionId = response.headers.get('mcp-session-id');
+        if (sessionId) this.sessionId = sessionId;
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new MCPError(`MCP server ${this.url}: ${response.status} ${response.statusText}${text ? ` (${text.slice(0, 200)})` : ''}`, {
+                status: response.status
+            });
+        }
+        return response;
+    }
+
+    // HTTP+SSE transport (protocol 2024-11-05): a GET stream first names the endpoint to
+    // POST to in an 'endpoint' event, then carries the replies as 'message' events. The
+    // signal only bounds the handshake: the stream outlives the request that opened it
+    // (a re-initialization inside a tool call, say) and is closed by close().
+    async openLegacyStream(signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        let events;
+        let endpoint = null;
+        try {
+            let response;
+            try {
+                response = await fetch(this.url, {
+                    headers: { 'Accept': 'text/event-stream', ...this.headers },
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                throw new MCPError(`Could not reach MCP server ${this.url} (${error.message})`);
+            }
+            if (!response.ok) {
+                throw new MCPError(`MCP server ${this.url}: ${response.status} ${response.statusText}`, { status: response.status });
+            }
+
+            events = readServerSentEvents(response);
+            while (!endpoint) {
+                const { value, done } = await events.next();
+                if (done) throw new MCPError(`MCP server ${this.url} closed the event stream`);
+                if (value.event === 'endpoint') endpoint = new URL(value.data, this.url).href;
+            }
+        } catch (error) {
+            controller.abort();
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
+
+        const legacy = { endpoint, controller, pending: new Map() };
+        this.legacy = legacy;
+
+        (async () => {
+            try {
+                for await (const { event, data } of events) {
+                    if (event !== 'message') continue;
+                    const reply = JSON.parse(data);
+                    const waiting = legacy.pending.get(reply.id);
+                    if (waiting && !reply.method) {
+                        legacy.pending.delete(reply.id);
+                        waiting.resolve(reply);
+                    }
+                }
+            } catch (error) {
+                // Closed or aborted; waiting requests are rejected below
+            }
+            legacy.pending.forEach(({ reject }) => reject(new MCPError(`MCP server ${this.url} closed the event stream`)));
+            legacy.pending.clear();
+        })();
+    }
+}
+
+// The conversation, LLM and tool engine without any DOM. Everything it does is reported
+// through events, subscribed to with on(event, listener):
+//   turn_start         { messageIndex } agentLoop started a turn
+//   message            { message, index } after a message is appended to the conversation
+//   delta              { text, content, index } streamed assistant text
+//   stream_reset       { index } a streamed answer failed; drop the partial text
+//   status             { text } progress text, null when idle
+//   notice             { text } information for the user that is not part of the conversation
+//   tool_call          { toolCall, status } a tool call is about to run
+//   tool_start         { toolCall } the tool started (again after an approval)
+//   tool_result        { toolCall, result, isError, durationMs }
+//   llm_call           { provider, model, request, response, message, error, durationMs } one
+//                      LLM request ended; response is the raw body (null when streamed)
+//   usage              { usage, cost, provider, model } usage was recorded (usage null on reset
+//                      or when the server reported none)
+//   context_summarized { uptoIndex, messages }
+//   step               { branchId, messageIndex, durationMs, model, usage, cost } an LLM step and
+//                      its tools ended; messageIndex is in the conversation of branch branchId
+//   error              { error } the turn failed
+//   done               { reason } the turn ended
+//   tools_changed, settings_changed
+// The browser UI (LLMAgent in app.js) is one subscriber; tests in Node are another.
+class AgentCore {
+    constructor() {
+        this.listeners = new Map();
+        this.conversation = [];
+        this.llmConfig = null;
+        this.streamResponses = true;
+        // Per user turn; 0 disables a limit
+        this.loopConfig = { maxSteps: 10, maxTokensPerTurn: 0, maxCostPerTurn: 0, maxRepeatedCalls: 3, maxParallelTools: 4 };
+        this.abortController = null;
+        this.retryConfig = { maxRetries: 3, baseDelayMs: 1000, maxDelayMs: 30000 };
+        // Tried in order when the primary model keeps failing: [{ provider, model }]
+        this.fallbackModels = [];
+        // API keys by provider, so fallbacks on another provider can authenticate
+        this.providerKeys = {};
+        // sessionBudget in USD, 0 for none; prices per million tokens
+        this.costConfig = {
+            sessionBudget: 0,
+            prices: DEFAULT_MODEL_PRICES.map(([provider, model, input, output]) => ({ provider, model, input, output }))
+        };
+        // Usage of the latest user turn, summed over its LLM calls and tool-reported usage
+        this.turnUsage = null;
+        // contextWindows: [{ model, tokens }] by model name prefix, ahead of MODEL_CONTEXT_WINDOWS
+        this.contextConfig = { contextWindows: [], maxToolOutputTokens: 4000, summarizeAt: 0.8 };
+        this.providerAdapters = {
+            openai: new OpenAIAdapter(),
+            anthropic: new AnthropicAdapter()
+        };
+        this.toolRegistry = new Map();
+        this.toolPolicies = {};
+        // Agent profiles bundle a system prompt, enabled tools, model override and sampling settings
+        this.profiles = [this.createProfile('Default', { id: 'default' })];
+        this.activeProfileId = 'default';
+        this.currentSession = this.createSession();
+        this.conversation = this.currentSession.messages;
+        // Records each turn into currentSession.traces
+        this.traceRecorder = new TraceRecorder(this);
+    }
+
+    // Subscribes to an event; returns a function that unsubscribes
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    off(event, listener) {
+        const listeners = this.listeners.get(event);
+        if (listeners) listeners.delete(listener);
+    }
+
+    // A failing listener is logged rather than allowed to break the agent loop
+    emit(event, payload = {}) {
+        const listeners = this.listeners.get(event);
+        if (!listeners) return;
+        [...listeners].forEach(listener => {
+            try {
+                listener(payload);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+
+    appendMessage(message) {
+        this.conversation.push(message);
+        this.emit('message', { message, index: this.conversation.length - 1 });
+    }
+
+    // Plain text of message content, which is a string or an array of OpenAI-style content
+    // parts ({ type: 'text', text } / { type: 'image_url', image_url: { url } })
+    getMessageText(content) {
+        if (!Array.isArray(content)) return content || '';
+        return content
+            .map(part => (part.type === 'text' ? part.text : '[image]'))
+            .join('\n\n');
+    }
+
+    supportsImages(config = this.getActiveLLMConfig()) {
+        const model = ((config && config.model) || '').toLowerCase();
+        return VISION_MODEL_PATTERNS.some(pattern => pattern.test(model));
+    }
+
+    // Extra system messages for the context, placed after the system prompt
+    contextNotes() {
+        return [];
+    }
+
+    // The conversation branch traces are recorded on; the core keeps a single one
+    getBranchId() {
+        return null;
+    }
+
+    // Decides a tool call under the 'ask' policy. Resolves with { approved: true, args } or
+    // { approved: false, reason }. Without a UI to ask, calls are rejected.
+    async requestToolApproval(toolCall, tool, args, signal) {
+        return { approved: false, reason: 'No one is available to approve tool calls.' };
+    }
+
+    // OpenAI-style schemas of the enabled tools, as sent to the LLM
+    get tools() {
+        return this.listTools()
+            .filter(tool => tool.enabled)
+            .map(tool => ({ type: 'function', function: tool.schema }));
+    }
+
+    // Tool registry
+    //
+    // schema:       OpenAI function schema ({ name, description, parameters }); the
+    //               { type: 'function', function: {...} } wrapper is accepted too
+    // handler:      async (args, { toolCall, agent, signal }) => result (string or JSON-able);
+    //               signal is an AbortSignal that fires when the user presses Stop
+    // icon, label:  shown on tool cards and in the Tools menu
+    // renderResult: optional (result, element) => void to render results in the card
+    // formatResult: optional (result) => string stored as the tool message for the model,
+    //               instead of the result's JSON
+    // policy:       default approval policy, 'allow' | 'ask' | 'deny' (user can override)
+    // parallel:     false if calls must not overlap with other tool calls (shared state)
+    registerTool({ schema, handler, icon = '🔧', label, renderResult = null, formatResult = null, enabled = true, policy = 'allow', parallel = true }) {
+        const fn = schema && schema.type === 'function' ? schema.function : schema;
+        if (!fn || !fn.name) {
+            throw new Error('Tool schema must have a name');
+        }
+        if (typeof handler !== 'function') {
+            throw new Error(`Tool "${fn.name}" must have a handler function`);
+        }
+
+        const profileTools = this.activeProfile.tools;
+        this.toolRegistry.set(fn.name, {
+            name: fn.name,
+            label: label || fn.name,
+            schema: { parameters: { type: 'object', properties: {} }, ...fn },
+            handler,
+            icon,
+            renderResult,
+            formatResult,
+            enabled: fn.name in profileTools ? profileTools[fn.name] : enabled,
+            defaultEnabled: enabled,
+            defaultPolicy: policy,
+            parallel
+        });
+        this.emit('tools_changed');
+        return this.toolRegistry.get(fn.name);
+    }
+
+    unregisterTool(name) {
+        const removed = this.toolRegistry.delete(name);
+        this.emit('tools_changed');
+        return removed;
+    }
+
+    getTool(name) {
+        return this.toolRegistry.get(name);
+    }
+
+    listTools() {
+        return Array.from(this.toolRegistry.values());
+    }
+
+    setToolEnabled(name, enabled) {
+        const tool = this.toolRegistry.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+        tool.enabled = enabled;
+        this.activeProfile.tools[name] = enabled;
+        this.emit('tools_changed');
+        this.emit('settings_changed');
+    }
+
+    get activeProfile() {
+        return this.profiles.find(profile => profile.id === this.activeProfileId) || this.profiles[0];
+    }
+
+    // tools maps tool name → enabled; tools not listed keep their registered default.
+    // An empty model uses the model from the LLM configuration.
+    createProfile(name, overrides = {}) {
+        return {
+            id: `profile-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            name,
+            systemPrompt: DEFAULT_SYSTEM_PROMPT,
+            tools: {},
+            model: '',
+            temperature: 0.7,
+            maxTokens: 1500,
+            ...overrides
+        };
+    }
+
+    // The LLM configuration with the active profile's model applied
+    getActiveLLMConfig() {
+        if (!this.llmConfig) return null;
+        const model = this.activeProfile.model;
+        return model ? { ...this.llmConfig, model } : this.llmConfig;
+    }
+
+    getToolPolicy(name) {
+        const tool = this.getTool(name);
+        return this.toolPolicies[name] || (tool ? tool.defaultPolicy : 'allow');
+    }
+
+    setToolPolicy(name, policy) {
+        if (!['allow', 'ask', 'deny'].includes(policy)) {
+            throw new Error(`Unknown tool policy: ${policy}`);
+        }
+        this.toolPolicies[name] = policy;
+        this.emit('tools_changed');
+        this.emit('settings_changed');
+    }
+
+    // Minimal JSON Schema validation covering the keywords tool schemas use in practice
+    validateToolArguments(schema, value, path = 'arguments') {
+        const errors = [];
+        if (!schema) return errors;
+
+        const typeOf = (v) => {
+            if (v === null) return 'null';
+            if (Array.isArray(v)) return 'array';
+            if (typeof v === 'number' && Number.isInteger(v)) return 'integer';
+            return typeof v;
+        };
+        const matchesType = (type, v) => {
+            const actual = typeOf(v);
+            return actual === type || (type === 'number' && actual === 'integer');
+        };
+
+        if (schema.type) {
+            const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+            if (!types.some(type => matchesType(type, value))) {
+                errors.push(`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`);
+                return errors;
+            }
+        }
+
+        if (schema.enum && !schema.enum.some(option => option === value)) {
+            errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push(`${path} should have at least ${schema.minLength} characters`);
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push(`${path} should have at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push(`${path} should match ${schema.pattern}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push(`${path} should be >= ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push(`${path} should be <= ${schema.maximum}`);
+            }
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...this.validateToolArguments(schema.items, item, `${path}[${i}]`));
+            });
+        }
+
+        if (typeOf(value) === 'object') {
+            const properties = schema.properties || {};
+            (schema.required || []).forEach(key => {
+                if (value[key] === undefined) {
+                    errors.push(`${path}.${key} is required`);
+                }
+            });
+            Object.entries(value).forEach(([key, item]) => {
+                if (properties[key]) {
+                    errors.push(...this.validateToolArguments(properties[key], item, `${path}.${key}`));
+                } else if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key} is not allowed`);
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    createSession() {
+        const now = Date.now();
+        return {
+            id: `session-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            title: '',
+            createdAt: now,
+            updatedAt: now,
+            messages: [],
+            timings: { tools: {}, steps: [] },
+            usage: this.createUsageTotals()
+        };
+    }
+
+    // Messages as they leave the agent in exports; LLMAgent puts stored images back in
+    withImageData(messages) {
+        return messages;
+    }
+
+    // Lossless export of the current session: everything needed to rebuild it, minus the API
+    // key. messages is the active branch; the other branches (when the session has them)
+    // carry their own messages.
+    async buildConversationExport(model = this.getActiveLLMConfig()) {
+        const session = this.currentSession;
+        const profile = this.activeProfile;
+        const data = {
+            format: 'llm-agent-poc/conversation',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            session: {
+                id: session.id,
+                title: session.title,
+                createdAt: session.createdAt,
+                updatedAt: session.updatedAt,
+                contextSummary: session.contextSummary || null
+            },
+            model: model ? {
+                provider: model.provider,
+                model: model.model,
+                baseUrl: model.baseUrl,
+                stream: this.streamResponses
+            } : null,
+            profile: {
+                name: profile.name,
+                systemPrompt: profile.systemPrompt,
+                temperature: profile.temperature,
+                maxTokens: profile.maxTokens
+            },
+            tools: this.tools,
+            messages: await this.withImageData(this.conversation),
+            timings: session.timings,
+            usage: session.usage
+        };
+        if (session.branches) {
+            data.session.activeBranchId = session.activeBranchId;
+            data.branches = await Promise.all(session.branches.map(async branch => (branch.id === session.activeBranchId
+                ? { id: branch.id, createdAt: branch.createdAt }
+                : {
+                    id: branch.id,
+                    createdAt: branch.createdAt,
+                    contextSummary: branch.contextSummary || null,
+                    messages: await this.withImageData(branch.messages)
+                })));
+        }
+        if (session.dataFiles) {
+            data.dataFiles = session.dataFiles;
+        }
+        return data;
+    }
+
+    // Problems that keep an export from being imported, as readable strings (none when valid)
+    validateConversationImport(data) {
+        if (!data || data.format !== 'llm-agent-poc/conversation') {
+            return ['not an LLM Agent conversation export'];
+        }
+        if (!Array.isArray(data.messages)) {
+            return ['messages must be an array'];
+        }
+
+        const errors = this.validateImportedMessages(data.messages, 'message');
+        if (data.branches !== undefined) {
+            const activeId = data.session && data.session.activeBranchId;
+            if (!Array.isArray(data.branches) || !data.branches.some(branch => branch && branch.id === activeId)) {
+                errors.push('branches must be an array that includes the active branch');
+            } else {
+                data.branches.forEach((branch, i) => {
+                    if (typeof branch.id !== 'string') {
+                        errors.push(`branch ${i} has no id`);
+                    } else if (branch.id !== activeId && !Array.isArray(branch.messages)) {
+                        errors.push(`branch ${i} has no messages`);
+                    } else if (branch.id !== activeId) {
+                        errors.push(...this.validateImportedMessages(branch.messages, `branch ${i} message`));
+                    }
+                });
+            }
+        }
+        if (data.dataFiles !== undefined && (!Array.isArray(data.dataFiles)
+            || !data.dataFiles.every(file => file && ['name', 'text', 'summary'].every(key => typeof file[key] === 'string')))) {
+            errors.push('dataFiles must be a list of { name, text, summary }');
+        }
+        return errors;
+    }
+
+    validateImportedMessages(messages, label) {
+        const errors = [];
+        const pendingToolCalls = new Set();
+        const isText = (value) => typeof value === 'string';
+        const isPart = (part) => part && ((part.type === 'text' && isText(part.text))
+            || (part.type === 'image_url' && part.image_url && isText(part.image_url.url)));
+
+        messages.forEach((message, i) => {
+            const problem = (text) => errors.push(`${label} ${i} ${text}`);
+            if (!message || !['system', 'user', 'assistant', 'tool'].includes(message.role)) {
+                problem('has an unknown role');
+                return;
+            }
+            if (message.role === 'user') {
+                if (!isText(message.content) && !(Array.isArray(message.content) && message.content.every(isPart))) {
+                    problem('needs text content or a list of text and image_url parts');
+                }
+            } else if (message.role === 'assistant') {
+                if (message.content !== null && message.content !== undefined && !isText(message.content)) {
+                    problem('has content that is not text');
+                }
+                if (message.tool_calls !== undefined && !(Array.isArray(message.tool_calls) && message.tool_calls.every(toolCall =>
+                    toolCall && isText(toolCall.id) && toolCall.function && isText(toolCall.function.name) && isText(toolCall.function.arguments)))) {
+                    problem('has tool calls without an id, function name or arguments');
+                    return;
+                }
+                (message.tool_calls || []).forEach(toolCall => pendingToolCalls.add(toolCall.id));
+            } else if (!isText(message.content)) {
+                problem('has content that is not text');
+            } else if (message.role === 'tool' && !pendingToolCalls.delete(message.tool_call_id)) {
+                problem('answers an unknown tool call');
+            }
+        });
+        return errors;
+    }
+
+    // A new session from a validated export; the export's own id is not reused
+    sessionFromExport(data) {
+        const session = this.createSession();
+        const saved = data.session || {};
+        session.title = saved.title || '';
+        session.createdAt = saved.createdAt || session.createdAt;
+        session.messages = data.messages;
+        session.contextSummary = saved.contextSummary || null;
+        session.usage = { ...session.usage, ...data.usage };
+        const timings = data.timings || {};
+        session.timings = { tools: timings.tools || {}, steps: timings.steps || [] };
+
+        if (data.branches) {
+            session.activeBranchId = saved.activeBranchId;
+            session.branches = data.branches.map(branch => (branch.id === saved.activeBranchId
+                ? { ...branch, messages: session.messages, contextSummary: session.contextSummary }
+                : branch));
+        } else if (session.branches) {
+            // Without branches the messages are the whole chat
+            session.branches[0].messages = session.messages;
+            session.timings.steps = session.timings.steps.map(step => ({ ...step, branchId: session.activeBranchId }));
+        }
+        if (data.dataFiles) {
+            session.dataFiles = data.dataFiles;
+        }
+        return session;
+    }
+
+    getBaseUrl(provider) {
+        const urls = {
+            'openai': 'https://api.openai.com/v1',
+            'openrouter': 'https://openrouter.ai/api/v1',
+            'groq': 'https://api.groq.com/openai/v1',
+            'anthropic': 'https://api.anthropic.com/v1'
+        };
+        return urls[provider] || urls.openai;
+    }
+
+    // Appends the user's message and runs the agent until it answers. Resolves with the
+    // reason the turn ended (see agentLoop).
+    async send(content) {
+        this.appendMessage({ role: 'user', content });
+        return this.agentLoop();
+    }
+
+    // Runs LLM steps and their tool calls until the model answers without tool calls.
+    // Resolves with, and emits in 'done', the reason the turn ended: 'completed',
+    // 'max_steps', 'token_budget', 'cost_budget', 'repeated_calls', 'aborted' or 'error'.
+    async agentLoop() {
+        this.abortController = new AbortController();
+        this.turnUsage = this.createUsageTotals();
+        this.emit('usage', { usage: null, cost: null });
+        const { signal } = this.abortController;
+        const { maxSteps, maxTokensPerTurn, maxCostPerTurn, maxRepeatedCalls } = this.loopConfig;
+        this.emit('turn_start', { messageIndex: this.conversation.length - 1 });
+
+        let steps = 0;
+        let lastCallKey = null;
+        let repeatCount = 0;
+        let reason = 'completed';
+
+        try {
+            let needsUserInput = false;
+            
+            while (!needsUserInput) {
+                // Guardrails are checked between steps so every tool call has its result
+                if (maxSteps > 0 && steps >= maxSteps) {
+                    reason = 'max_steps';
+                    this.emit('notice', { text: `Stopped: reached the limit of ${maxSteps} steps for this turn. Send a message to continue.` });
+                    break;
+                }
+                // A call without reported usage (or, for cost, without a price) could have used
+                // any amount, so a budget stops the turn rather than letting it run unmetered
+                const { unreportedCalls, unpricedCalls } = this.turnUsage;
+                const turnTokens = this.turnUsage.promptTokens + this.turnUsage.completionTokens;
+                if (maxTokensPerTurn > 0 && (turnTokens >= maxTokensPerTurn || unreportedCalls > 0)) {
+                    reason = 'token_budget';
+                    this.emit('notice', { text: unreportedCalls > 0
+                        ? `Stopped: the provider did not report token usage, so the budget of ${maxTokensPerTurn} tokens for this turn cannot be enforced. Send a message to continue.`
+                        : `Stopped: used ${turnTokens} tokens, over the budget of ${maxTokensPerTurn} for this turn. Send a message to continue.` });
+                    break;
+                }
+                const turnCost = this.turnUsage.cost;
+                if (maxCostPerTurn > 0 && (turnCost >= maxCostPerTurn || unreportedCalls > 0 || unpricedCalls > 0)) {
+                    reason = 'cost_budget';
+                    this.emit('notice', { text: unreportedCalls > 0 || unpricedCalls > 0
+                        ? `Stopped: a call's cost is unknown (no usage reported or no price for the model), so the budget of $${maxCostPerTurn} for this turn cannot be enforced. Send a message to continue.`
+                        : `Stopped: this turn cost $${turnCost.toFixed(4)}, over the budget of $${maxCostPerTurn}. Send a message to continue.` });
+                    break;
+                }
+                if (maxRepeatedCalls > 0 && repeatCount >= maxRepeatedCalls) {
+                    reason = 'repeated_calls';
+                    this.emit('notice', { text: `Stopped: the agent called ${lastCallKey.split('\n')[0]} with identical arguments ${repeatCount} times in a row.` });
+                    break;
+                }
+
+                // Call LLM with current conversation and tools
+                const messages = await this.prepareContext(signal);
+                const stepStarted = performance.now();
+                const response = await this.callLLM(messages, this.tools, signal);
+                const { cost } = this.recordUsage(response.usage, response.provider, response.model);
+                const step = {
+                    branchId: this.getBranchId(),
+                    messageIndex: this.conversation.length - 1,
+                    durationMs: Math.round(performance.now() - stepStarted),
+                    model: response.model,
+                    usage: response.usage || null,
+                    cost
+                };
+                this.currentSession.timings.steps.push(step);
+                steps++;
+
+                if (response.tool_calls && response.tool_calls.length > 0) {
+                    // Execute tool calls
+                    await this.runToolCalls(response.tool_calls, signal);
+
+                    response.tool_calls.forEach(toolCall => {
+                        const callKey = this.getToolCallKey(toolCall);
+                        repeatCount = callKey === lastCallKey ? repeatCount + 1 : 1;
+                        lastCallKey = callKey;
+                    });
+                    this.emit('step', step);
+
+                    if (signal.aborted) {
+                        throw signal.reason;
+                    }
+                } else {
+                    // No tool calls, wait for user input
+                    this.emit('step', step);
+                    needsUserInput = true;
+                }
+            }
+        } catch (error) {
+            if (signal.aborted) {
+                reason = 'aborted';
+                this.emit('notice', { text: 'Stopped by user.' });
+            } else {
+                reason = 'error';
+                this.emit('error', { error });
+            }
+        } finally {
+            this.emit('status', { text: null });
+            this.abortController = null;
+            this.emit('done', { reason });
+        }
+        return reason;
+    }
+
+    stopAgent() {
+        if (this.abortController) {
+            this.abortController.abort(new DOMException('Stopped by user', 'AbortError'));
+        }
+    }
+
+    // Identifies a call by tool name and arguments, ignoring key order and whitespace
+    getToolCallKey(toolCall) {
+        const { name, arguments: args } = toolCall.function;
+        const canonical = (value) => {
+            if (Array.isArray(value)) return value.map(canonical);
+            if (value && typeof value === 'object') {
+                return Object.keys(value).sort().reduce((sorted, key) => {
+                    sorted[key] = canonical(value[key]);
+                    return sorted;
+                }, {});
+            }
+            return value;
+        };
+
+        try {
+            return `${name}\n${JSON.stringify(canonical(JSON.parse(args || '{}')))}`;
+        } catch (error) {
+            return `${name}\n${args}`;
+        }
+    }
+
+    // Rejects as soon as the signal aborts, so a hung tool cannot block Stop
+    raceAbort(promise, signal) {
+        if (!signal) return Promise.resolve(promise);
+        return new Promise((resolve, reject) => {
+            if (signal.aborted) {
+                reject(signal.reason);
+                return;
+            }
+            const onAbort = () => reject(signal.reason);
+            signal.addEventListener('abort', onAbort, { once: true });
+            Promise.resolve(promise).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+        });
+    }
+
+    // Rough token estimate (~4 characters per token) that errs on the high side. Images
+    // count as a flat 1000 tokens, about what a medium-sized image costs.
+    estimateTokens(message) {
+        const text = (value) => (typeof value === 'string' ? value : JSON.stringify(value || ''));
+        let tokens = 4;
+        if (Array.isArray(message.content)) {
+            message.content.forEach(part => {
+                tokens += part.type === 'image_url' ? 1000 : Math.ceil(text(part.text).length / 4);
+            });
+        } else {
+            tokens += Math.ceil(text(message.content).length / 4);
+        }
+        (message.tool_calls || []).forEach(toolCall => {
+            tokens += 8 + Math.ceil((toolCall.function.name.length + (toolCall.function.arguments || '').length) / 4);
+        });
+        return tokens;
+    }
+
+    estimateContextTokens(messages, tools = this.tools) {
+        const toolTokens = tools.length > 0 ? Math.ceil(JSON.stringify(tools).length / 4) : 0;
+        return messages.reduce((sum, message) => sum + this.estimateTokens(message), toolTokens);
+    }
+
+    // The longest configured model prefix wins, then the known sizes by model name
+    getContextWindow() {
+        const config = this.getActiveLLMConfig();
+        const model = ((config && config.model) || '').toLowerCase();
+        let best = null;
+        this.contextConfig.contextWindows.forEach(entry => {
+            if (model.startsWith(entry.model.toLowerCase()) && (!best || entry.model.length > best.model.length)) {
+                best = entry;
+            }
+        });
+        if (best) return best.tokens;
+
+        const match = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(model));
+        return match ? match[1] : 16000;
+    }
+
+    // Keeps the head and tail of an oversized tool result
+    truncateToolOutput(content, maxTokens) {
+        const maxChars = maxTokens * 4;
+        if (typeof content !== 'string' || content.length <= maxChars) return content;
+
+        const keep = Math.floor(maxChars / 2);
+        const removed = content.length - keep * 2;
+        return `${content.slice(0, keep)}\n\n[... ${removed} characters truncated to fit the context window ...]\n\n${content.slice(-keep)}`;
+    }
+
+    // The messages actually sent to the LLM: the profile's system prompt, context notes, the
+    // running summary of older turns (if any) and the remaining history, with oversized tool
+    // outputs truncated
+    buildContextMessages() {
+        const summary = this.currentSession && this.currentSession.contextSummary;
+        const recent = summary ? this.conversation.slice(summary.uptoIndex) : this.conversation;
+        const messages = recent.map(message => (message.role === 'tool'
+            ? { ...message, content: this.truncateToolOutput(message.content, this.contextConfig.maxToolOutputTokens) }
+            : message));
+
+        if (summary) {
+            // A user turn, so the history never opens with an assistant turn (which Anthropic
+            // refuses) when the cut was made before one
+            messages.unshift({ role: 'user', content: `Summary of the earlier conversation:\n\n${summary.content}` });
+        }
+        messages.unshift(...this.contextNotes().map(content => ({ role: 'system', content })));
+        const systemPrompt = this.activeProfile.systemPrompt.trim();
+        if (systemPrompt) {
+            messages.unshift({ role: 'system', content: systemPrompt });
+        }
+        return messages;
+    }
+
+    // Summarizes older turns when the context nears the model's window. The cut is only
+    // made before a user or assistant message, so tool results stay with their tool_calls.
+    async prepareContext(signal) {
+        let messages = this.buildContextMessages();
+        const limit = this.getContextWindow();
+        if (this.estimateContextTokens(messages) < limit * this.contextConfig.summarizeAt) {
+            return messages;
+        }
+
+        const summary = this.currentSession.contextSummary;
+        const start = summary ? summary.uptoIndex : 0;
+        const roles = this.conversation.map(message => message.role);
+        const lastCut = Math.max(roles.lastIndexOf('user'), roles.lastIndexOf('assistant'));
+
+        // Cut as early as possible while leaving the recent tail within half the window,
+        // but always keep the latest user or assistant message and what follows it
+        let cut = -1;
+        for (let i = start + 1; i <= lastCut; i++) {
+            if (roles[i] === 'tool') continue;
+            cut = i;
+            const tail = this.conversation.slice(i).map(message => (message.role === 'tool'
+                ? { ...message, content: this.truncateToolOutput(message.content, this.contextConfig.maxToolOutputTokens) }
+                : message));
+            if (this.estimateContextTokens(tail) <= limit * 0.5) break;
+        }
+        if (cut <= start) {
+            return messages;
+        }
+
+        this.emit('status', { text: 'Summarizing earlier messages...' });
+        try {
+            const content = await this.summarizeMessages(
+                this.conversation.slice(start, cut),
+                summary ? summary.content : '',
+                signal
+            );
+            this.currentSession.contextSummary = { uptoIndex: cut, content };
+        } finally {
+            this.emit('status', { text: null });
+        }
+
+        this.emit('notice', { text: `Messages 1–${cut} were summarized to fit the model's context window.` });
+        messages = this.buildContextMessages();
+        this.emit('context_summarized', { uptoIndex: cut, messages });
+        return messages;
+    }
+
+    async summarizeMessages(messages, previousSummary, signal) {
+        const transcript = messages.map(message => {
+            if (message.role === 'tool') {
+                return `[tool result ${message.tool_call_id}]\n${this.truncateToolOutput(message.content, 500)}`;
+            }
+            const calls = (message.tool_calls || [])
+                .map(toolCall => `[tool call ${toolCall.id}] ${toolCall.function.name}(${toolCall.function.arguments})`)
+                .join('\n');
+            return `[${message.role}]\n${this.getMessageText(message.content)}${calls ? `\n${calls}` : ''}`;
+        }).join('\n\n');
+
+        const message = await this.requestWithRetry(this.getActiveLLMConfig(), {
+            messages: [
+                {
+                    role: 'system',
+                    content: 'Summarize this agent conversation for your own future reference. Keep the user\'s goals, decisions, facts and numbers found, tool results that still matter, and open questions. Be concise.'
+                },
+                {
+                    role: 'user',
+                    content: `${previousSummary ? `Earlier summary:\n${previousSummary}\n\n` : ''}Conversation to summarize:\n\n${transcript}`
+                }
+            ],
+            tools: [],
+            stream: false,
+            maxTokens: 1000,
+            temperature: 0.2
+        }, signal);
+        this.recordUsage(message.usage, message.provider, message.model);
+        return message.content || '';
+    }
+
+    createUsageTotals() {
+        return { promptTokens: 0, completionTokens: 0, cost: 0, unpricedCalls: 0, unreportedCalls: 0 };
+    }
+
+    // Longest matching model prefix wins. "vendor/model" names (OpenRouter, AI Pipe) also
+    // match the vendor's entries.
+    getModelPrice(provider, model) {
+        const slash = (model || '').indexOf('/');
+        const candidates = [[provider, model]];
+        if (slash > 0) {
+            candidates.push([model.slice(0, slash), model.slice(slash + 1)]);
+        }
+
+        let best = null;
+        this.costConfig.prices.forEach(price => {
+            const matches = candidates.some(([candidateProvider, name]) =>
+                price.provider === candidateProvider && name.startsWith(price.model));
+            if (matches && (!best || price.model.length > best.model.length)) {
+                best = price;
+            }
+        });
+        return best;
+    }
+
+    // Cost in USD, or null when the model has no price
+    calculateCost(usage, provider, model) {
+        const price = this.getModelPrice(provider, model);
+        if (!price) return null;
+        return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+    }
+
+    // Adds one call's usage to the current turn and session
+    recordUsage(usage, provider, model) {
+        const totals = [this.currentSession.usage];
+        if (this.turnUsage) totals.push(this.turnUsage);
+        if (!usage) {
+            // The server reported no usage (e.g. a compatible server without stream usage)
+            totals.forEach(total => { total.unreportedCalls = (total.unreportedCalls || 0) + 1; });
+            this.emit('usage', { usage: null, cost: null, provider, model });
+            return { cost: null };
+        }
+
+        const cost = this.calculateCost(usage, provider, model);
+        totals.forEach(total => {
+            total.promptTokens += usage.promptTokens;
+            total.completionTokens += usage.completionTokens;
+            if (cost === null) {
+                total.unpricedCalls++;
+            } else {
+                total.cost += cost;
+            }
+        });
+
+        this.emit('usage', { usage, cost, provider, model });
+        return { cost };
+    }
+
+    getAdapter(provider) {
+        return this.providerAdapters[provider] || this.providerAdapters.openai;
+    }
+
+    async callLLM(messages, tools, signal) {
+        this.emit('status', { text: 'Agent is thinking...' });
+        const profile = this.activeProfile;
+
+        try {
+            const message = await this.requestWithFallback({
+                messages,
+                tools,
+                stream: this.streamResponses,
+                maxTokens: profile.maxTokens,
+                temperature: profile.temperature
+            }, signal);
+
+            // Add assistant message to conversation
+            this.appendMessage({
+                role: 'assistant',
+                content: message.content,
+                tool_calls: message.tool_calls
+            });
+
+            return message;
+        } finally {
+            this.emit('status', { text: null });
+        }
+    }
+
+    // Configs for the configured fallback models; ones on a provider without a key are skipped
+    getFallbackConfigs() {
+        return this.fallbackModels
+            .map(({ provider, model }) => {
+                const sameProvider = provider === this.llmConfig.provider;
+                return {
+                    provider,
+                    model,
+                    apiKey: sameProvider ? this.llmConfig.apiKey : this.providerKeys[provider],
+                    baseUrl: sameProvider ? this.llmConfig.baseUrl : this.getBaseUrl(provider)
+                };
+            })
+            .filter(config => config.apiKey);
+    }
+
+    // Tries the primary model, then each fallback, each with retries. Only failures another
+    // model may not have move on: transient ones (retries exhausted) and an unknown model
+    // (404). Request and auth errors (400, 401, 403, ...) surface right away.
+    async requestWithFallback(options, signal) {
+        const configs = [this.getActiveLLMConfig(), ...this.getFallbackConfigs()];
+        let primaryError = null;
+        let lastError = null;
+
+        for (let i = 0; i < configs.length; i++) {
+            const config = configs[i];
+            try {
+                const message = await this.requestWithRetry(config, options, signal);
+                if (i > 0) {
+                    this.emit('notice', { text: `${configs[0].model} failed (${primaryError.message}) Answered by fallback ${config.provider} - ${config.model}.` });
+                }
+                return message;
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                if (!error.retryable && error.status !== 404) throw error;
+                lastError = error;
+                if (i === 0) primaryError = error;
+                if (i < configs.length - 1) {
+                    this.emit('status', { text: `${config.model} failed, trying ${configs[i + 1].model}...` });
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    // Retries transient failures with exponential backoff and jitter, honoring Retry-After
+    async requestWithRetry(config, options, signal) {
+        const { maxRetries, baseDelayMs, maxDelayMs } = this.retryConfig;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.requestCompletion(config, options, signal);
+            } catch (error) {
+                if (signal && signal.aborted) throw error;
+                if (!error.retryable || attempt >= maxRetries) throw error;
+
+                const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+                const wait = error.retryAfterMs !== null && error.retryAfterMs !== undefined
+                    ? Math.min(error.retryAfterMs, maxDelayMs * 2)
+                    : Math.round(backoff / 2 + Math.random() * backoff / 2);
+
+                this.emit('status', { text: `${error.message} Retrying in ${Math.ceil(wait / 1000)}s (attempt ${attempt + 2} of ${maxRetries + 1})...` });
+                await this.delay(wait, signal);
+                this.emit('status', { text: 'Agent is thinking...' });
+            }
+        }
+    }
+
+    // One request to one provider/model; resolves to { content, tool_calls, usage, provider, model }.
+    // Every attempt is reported in an 'llm_call' event, failed ones included.
+    async requestCompletion(config, options, signal) {
+        const call = { provider: config.provider, model: config.model, request: null, response: null };
+        const started = performance.now();
+        try {
+            const message = await this.fetchCompletion(config, options, signal, call);
+            this.emit('llm_call', { ...call, message, durationMs: Math.round(performance.now() - started) });
+            return message;
+        } catch (error) {
+            this.emit('llm_call', { ...call, error, durationMs: Math.round(performance.now() - started) });
+            throw error;
+        }
+    }
+
+    // Fills call.request with what was sent (without headers, which carry the API key) and
+    // call.response with the raw response body when it is not streamed
+    async fetchCompletion(config, { messages, tools, stream, maxTokens, temperature }, signal, call) {
+        const adapter = this.getAdapter(config.provider);
+
+        // Adapters with complete() answer without HTTP (see ScriptedLLMAdapter)
+        if (typeof adapter.complete === 'function') {
+            const request = { config, messages, tools, stream, maxTokens, temperature };
+            call.request = { messages, tools, stream, maxTokens, temperature };
+            const message = stream
+                ? await this.emitStream(onText => adapter.complete(request, { signal, onText }))
+                : await adapter.complete(request, { signal });
+            return { ...message, provider: config.provider, model: config.model };
+        }
+
+        const request = adapter.buildRequest({ config, messages, tools, stream, maxTokens, temperature });
+        call.request = { url: request.url, body: request.body };
+
+        let response;
+        try {
+            response = await fetch(request.url, {
+                method: 'POST',
+                headers: request.headers,
+                body: JSON.stringify(request.body),
+                signal
+            });
+        } catch (error) {
+            if (signal && signal.aborted) throw error;
+            throw new LLMError(`Could not reach ${config.provider} (${error.message}).`, { retryable: true });
+        }
+
+        if (!response.ok) {
+            throw await this.parseLLMError(response, config);
+        }
+
+        if (stream) {
+            const message = await this.readChatStream(response, adapter);
+            return { ...message, provider: config.provider, model: config.model };
+        }
+        call.response = await response.json();
+        return { ...adapter.parseResponse(call.response), provider: config.provider, model: config.model };
+    }
+
+    // Turns an error response into a readable LLMError using the provider's error body
+    async parseLLMError(response, config) {
+        const retryableStatuses = [408, 409, 425, 429, 500, 502, 503, 504, 529];
+        let detail = '';
+        try {
+            const text = await response.text();
+            try {
+                const body = JSON.parse(text);
+                const error = body.error || body;
+                detail = typeof error === 'string'
+                    ? error
+                    : [error.message || body.message || body.detail, error.type || error.code]
+                        .filter(Boolean)
+                        .join(' — ');
+                if (error.metadata && error.metadata.raw) {
+                    detail += ` (${error.metadata.raw})`;
+                }
+            } catch (error) {
+                detail = text.slice(0, 200);
+            }
+        } catch (error) {
+            // Body unreadable; the status line is all we have
+        }
+
+        const hints = {
+            401: 'Check the API key.',
+            403: 'The key is not allowed to use this model.',
+            404: 'Check the model name and base URL.',
+            429: 'Rate limited.'
+        };
+        const parts = [`${config.provider} ${config.model}: ${response.status} ${response.statusText}`.trim()];
+        if (detail) parts.push(detail);
+        if (hints[response.status]) parts.push(hints[response.status]);
+
+        return new LLMError(`${parts.join('. ')}.`.replace(/\.\.$/, '.'), {
+            status: response.status,
+            retryable: retryableStatuses.includes(response.status),
+            retryAfterMs: this.parseRetryAfter(response.headers)
+        });
+    }
+
+    parseRetryAfter(headers) {
+        const ms = headers.get('retry-after-ms');
+        if (ms && !Number.isNaN(Number(ms))) return Number(ms);
+
+        const value = headers.get('retry-after');
+        if (!value) return null;
+        if (!Number.isNaN(Number(value))) return Number(value) * 1000;
+
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    // Assembles a streamed response through the provider adapter into the same
+    // { content, tool_calls } shape as the non-streaming path
+    async readChatStream(response, adapter) {
+        const assembler = adapter.createStreamAssembler();
+
+        try {
+            return await this.emitStream(async (onText) => {
+                for await (const data of this.readSSE(response)) {
+                    const text = assembler.push(data);
+                    if (text) onText(text);
+                    if (assembler.done) break;
+                }
+                return assembler.result();
+            });
+        } catch (error) {
+            if (error instanceof LLMError || error.name === 'AbortError') throw error;
+            // A chunk that is not valid JSON would come back the same on a retry
+            if (error instanceof SyntaxError) {
+                throw new LLMError(`Malformed stream chunk (${error.message}).`, { retryable: false });
+            }
+            throw new LLMError(`Stream interrupted (${error.message}).`, { retryable: true });
+        }
+    }
+
+    // Runs produce(onText) and emits the text it streams as 'delta' events for the message
+    // about to be appended. On failure 'stream_reset' drops the partial answer, so a retry
+    // or fallback renders a clean one.
+    async emitStream(produce) {
+        const index = this.conversation.length;
+        let content = '';
+
+        try {
+            return await produce((text) => {
+                content += text;
+                this.emit('delta', { text, content, index });
+            });
+        } catch (error) {
+            if (content) this.emit('stream_reset', { index });
+            throw error;
+        }
+    }
+
+    // Yields the data payload of each server-sent event in a fetch response body
+    async *readSSE(response) {
+        for await (const { data } of readServerSentEvents(response)) {
+            yield data;
+        }
+    }
+
+    // Runs the tool calls of one assistant turn. Independent calls run concurrently up to
+    // loopConfig.maxParallelTools; a tool registered with parallel: false waits for the
+    // running calls and runs alone. Results are appended in the original tool_call order.
+    async runToolCalls(toolCalls, signal) {
+        toolCalls.forEach(toolCall => this.emit('tool_call', { toolCall, status: 'Queued...' }));
+
+        const limit = this.loopConfig.maxParallelTools || Infinity;
+        const results = new Array(toolCalls.length);
+        const running = new Set();
+
+        const start = (toolCall, index) => {
+            const task = this.executeToolCall(toolCall, signal).then(message => {
+                results[index] = message;
+                running.delete(task);
+            });
+            running.add(task);
+            return task;
+        };
+
+        for (let i = 0; i < toolCalls.length; i++) {
+            const tool = this.getTool(toolCalls[i].function.name);
+            if (tool && !tool.parallel) {
+                await Promise.all(running);
+                await start(toolCalls[i], i);
+                continue;
+            }
+            while (running.size >= limit) {
+                await Promise.race(running);
+            }
+            start(toolCalls[i], i);
+        }
+        await Promise.all(running);
+
+        results.forEach(message => this.appendMessage(message));
+    }
+
+    async handleToolCall(toolCall, signal) {
+        this.emit('tool_call', { toolCall, status: 'Executing tool...' });
+        this.appendMessage(await this.executeToolCall(toolCall, signal));
+    }
+
+    // Runs one tool call announced by a 'tool_call' event and resolves with the tool message
+    // for the conversation. Never rejects: failures become error results.
+    async executeToolCall(toolCall, signal) {
+        const { name, arguments: args } = toolCall.function;
+        const tool = this.getTool(name);
+        let started = performance.now();
+        const finish = (result, isError) => {
+            const durationMs = Math.round(performance.now() - started);
+            this.currentSession.timings.tools[toolCall.id] = durationMs;
+            this.emit('tool_result', { toolCall, result, isError, durationMs });
+        };
+        this.emit('tool_start', { toolCall });
+        
+        try {
+            if (signal && signal.aborted) {
+                throw new Error('Cancelled by user');
+            }
+            if (!tool) {
+                throw new Error(`Unknown tool: ${name}`);
+            }
+            if (!tool.enabled) {
+                throw new Error(`Tool is disabled: ${name}`);
+            }
+
+            let parsedArgs = JSON.parse(args || '{}');
+            const errors = this.validateToolArguments(tool.schema.parameters, parsedArgs);
+            if (errors.length > 0) {
+                throw new Error(`Invalid arguments for ${name}: ${errors.join('; ')}`);
+            }
+
+            const policy = this.getToolPolicy(name);
+            if (policy === 'deny') {
+                throw new Error(`The user's tool policy does not allow ${name}`);
+            }
+            if (policy === 'ask') {
+                const decision = await this.requestToolApproval(toolCall, tool, parsedArgs, signal);
+                if (!decision.approved) {
+                    const rejection = `${TOOL_REJECTED_PREFIX}${decision.reason ? ` Reason: ${decision.reason}` : ''}`;
+                    finish(rejection, true);
+                    return { role: 'tool', tool_call_id: toolCall.id, content: rejection };
+                }
+                // Time the run, not the wait for approval
+                started = performance.now();
+                this.emit('tool_start', { toolCall });
+                if (decision.args !== parsedArgs) {
+                    // Keep the history truthful about what actually ran
+                    parsedArgs = decision.args;
+                    toolCall.function.arguments = JSON.stringify(parsedArgs);
+                }
+            }
+
+            const result = await this.raceAbort(tool.handler(parsedArgs, { toolCall, agent: this, signal }), signal);
+            if (result && result.usage) {
+                this.recordUsage(result.usage, result.provider || '', result.model || '');
+            }
+
+            const isError = Boolean(result && result.error);
+            finish(result, isError);
+            
+            return {
+                role: 'tool',
+                tool_call_id: toolCall.id,
+                content: tool.formatResult
+                    ? tool.formatResult(result)
+                    : (typeof result === 'string' ? result : JSON.stringify(result))
+            };
+
+        } catch (error) {
+            const errorMsg = `Tool execution failed: ${error.message}`;
+            finish(errorMsg, true);
+            
+            return {
+                role: 'tool',
+                tool_call_id: toolCall.id,
+                content: errorMsg
+            };
+        }
+    }
+
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+// Records each user turn of an agent as a trace in agent.currentSession.traces (the latest
+// maxTraces are kept). A trace holds what is needed to inspect and replay the turn:
+//   config, tools, contextSummary  the settings the turn ran with (no API keys)
+//   messageIndex, branchId         where the turn started: the conversation before it is
+//                                  not copied (exported and replayed traces carry it in
+//                                  messages)
+//   output                         the messages the turn appended
+//   spans                          LLM requests ({ type: 'llm', usage, cost, error }) and tool
+//                                  calls ({ type: 'tool', rawArguments, arguments, isError }),
+//                                  with start and durationMs in ms from the start of the turn
+//                                  and outputIndex, the message in output they produced
+//   notices, error, reason, durationMs
+// Request and response bodies are kept in LLM spans only with recordBodies set.
+class TraceRecorder {
+    constructor(agent, { maxTraces = 10, recordBodies = true, maxBodyChars = 4000 } = {}) {
+        this.agent = agent;
+        this.maxTraces = maxTraces;
+        this.recordBodies = recordBodies;
+        this.maxBodyChars = maxBodyChars;
+        this.trace = null;
+        this.started = 0;
+
+        const handlers = {
+            turn_start: () => this.start(),
+            message: ({ message }) => this.recordMessage(message),
+            llm_call: (call) => this.recordLLMCall(call),
+            tool_call: ({ toolCall }) => this.recordToolCall(toolCall),
+            tool_result: (payload) => this.recordToolResult(payload),
+            notice: ({ text }) => this.trace && this.trace.notices.push({ at: this.now(), text }),
+            error: ({ error }) => this.trace && (this.trace.error = this.serializeError(error)),
+            done: ({ reason }) => this.finish(reason)
+        };
+        this.unsubscribers = Object.entries(handlers).map(([event, handler]) => agent.on(event, handler));
+    }
+
+    detach() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    }
+
+    // Traces must survive JSON export and IndexedDB, and not change with the live objects.
+    // Attachment and image payloads (data: URLs, base64 data) are left out, and strings
+    // longer than maxLength are cut.
+    clone(value, maxLength = Infinity) {
+        if (value === undefined) return undefined;
+        return JSON.parse(JSON.stringify(value, (key, item) => {
+            if (typeof item !== 'string' || item.length < 1000) return item;
+            if (item.startsWith('data:')) {
+                return `${item.slice(0, item.indexOf(',') + 1)}[${item.length} characters omitted]`;
+            }
+            if (key === 'data' && /^[A-Za-z0-9+/]+$/.test(item.slice(0, 1000))) {
+                return `[${item.length} characters of base64 omitted]`;
+            }
+            if (item.length > maxLength) {
+                return `${item.slice(0, maxLength)}[${item.length - maxLength} characters omitted]`;
+            }
+            return item;
+        }));
+    }
+
+    now() {
+        return Math.round(performance.now() - this.started);
+    }
+
+    serializeError(error) {
+        if (!error) return null;
+        return {
+            name: error.name || 'Error',
+            message: error.message || String(error),
+            status: error.status === undefined ? null : error.status,
+            retryable: Boolean(error.retryable),
+            retryAfterMs: error.retryAfterMs === undefined ? null : error.retryAfterMs
+        };
+    }
+
+    start() {
+        const agent = this.agent;
+        const session = agent.currentSession;
+        const config = agent.getActiveLLMConfig() || {};
+        this.started = performance.now();
+        this.trace = {
+            id: `trace-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+            sessionId: session.id,
+            startedAt: Date.now(),
+            durationMs: null,
+            reason: null,
+            error: null,
+            config: {
+                provider: config.provider || null,
+                model: config.model || null,
+                baseUrl: config.baseUrl || null,
+                stream: agent.streamResponses,
+                // Only the fallbacks that could be tried, i.e. had an API key
+                fallbacks: agent.llmConfig
+                    ? agent.getFallbackConfigs().map(({ provider, model }) => ({ provider, model }))
+                    : [],
+                loop: { ...agent.loopConfig },
+                retry: { ...agent.retryConfig },
+                context: { ...agent.contextConfig },
+                profile: this.clone(agent.activeProfile)
+            },
+            tools: agent.listTools().map(tool => this.clone({ schema: tool.schema, enabled: tool.enabled })),
+            contextSummary: this.clone(session.contextSummary || null),
+            // The conversation before the turn is conversation.slice(0, messageIndex)
+            messageIndex: agent.conversation.length,
+            branchId: agent.getBranchId(),
+            output: [],
+            spans: [],
+            notices: []
+        };
+
+        if (!session.traces) session.traces = [];
+        session.traces.push(this.trace);
+        session.traces.splice(0, Math.max(0, session.traces.length - this.maxTraces));
+    }
+
+    recordLLMCall({ provider, model, request, response, message, error, durationMs }) {
+        if (!this.trace) return;
+        const usage = message ? message.usage || null : null;
+        const span = {
+            type: 'llm',
+            start: Math.max(0, this.now() - durationMs),
+            durationMs,
+            provider,
+            model,
+            // Set when the answer is appended to the conversation; answers that are not
+            // (context summaries, answers the turn was stopped before appending) stay in message
+            outputIndex: null,
+            message: message ? this.clone({ content: message.content, tool_calls: message.tool_calls }) : null,
+            usage,
+            cost: usage ? this.agent.calculateCost(usage, provider, model) : null,
+            error: this.serializeError(error)
+        };
+        if (this.recordBodies) {
+            span.request = this.clone(request, this.maxBodyChars);
+            span.response = this.clone(response, this.maxBodyChars);
+        }
+        this.trace.spans.push(span);
+    }
+
+    recordMessage(message) {
+        if (!this.trace) return;
+        if (message.role === 'tool') {
+            const span = this.findToolSpan(message.tool_call_id);
+            if (span) span.outputIndex = this.trace.output.length;
+        }
+        if (message.role === 'assistant') {
+            // An assistant message is appended right after the LLM call that answered it
+            // (streamed tool calls may be announced before that call ends)
+            const span = this.trace.spans.filter(item => item.type === 'llm').pop();
+            if (span && span.message) {
+                span.outputIndex = this.trace.output.length;
+                span.message = null;
+            }
+        }
+        this.trace.output.push(this.clone(message));
+    }
+
+    // The first announcement queues the call; the raw arguments are kept as the model sent them
+    recordToolCall(toolCall) {
+        if (!this.trace || this.findToolSpan(toolCall.id)) return;
+        const queuedAt = this.now();
+        this.trace.spans.push({
+            type: 'tool',
+            id: toolCall.id,
+            name: toolCall.function.name,
+            queuedAt,
+            start: queuedAt,
+            durationMs: null,
+            rawArguments: toolCall.function.arguments,
+            arguments: null,
+            outputIndex: null,
+            isError: false
+        });
+    }
+
+    recordToolResult({ toolCall, isError, durationMs }) {
+        const span = this.trace && this.findToolSpan(toolCall.id);
+        if (!span) return;
+        span.start = Math.max(span.queuedAt, this.now() - durationMs);
+        span.durationMs = durationMs;
+        // Differs from rawArguments when the user edited them on approval
+        span.arguments = toolCall.function.arguments;
+        span.isError = isError;
+    }
+
+    findToolSpan(id) {
+        return this.trace.spans.find(span => span.type === 'tool' && span.id === id);
+    }
+
+    finish(reason) {
+        if (!this.trace) return;
+        this.trace.reason = reason;
+        this.trace.durationMs = this.now();
+        this.trace = null;
+    }
+}
+
+// Re-runs a recorded turn in a fresh headless agent, answering every LLM request with the
+// recorded response (or error) and every tool call with the recorded tool message, so the
+// engine's behavior can be reproduced without network access. messages is the conversation
+// before the turn (trace.messages in exported traces). Resolves with
+// { reason, trace, messages, mismatch }: trace is the replay's own trace and mismatch is
+// null when the replay appended the same messages and ended for the same reason.
+async function replayTrace(trace, messages = trace.messages) {
+    if (!Array.isArray(messages)) {
+        throw new Error('replayTrace needs the messages before the turn: the trace does not include them');
+    }
+    const { config } = trace;
+    const agent = new AgentCore();
+
+    const script = trace.spans
+        .filter(span => span.type === 'llm')
+        .map(span => {
+            if (span.error) return new LLMError(span.error.message, span.error);
+            const { content, tool_calls } = span.outputIndex === null
+                ? span.message || { content: '' }
+                : trace.output[span.outputIndex];
+            return { content, tool_calls, usage: span.usage };
+        });
+    const adapter = new ScriptedLLMAdapter(script);
+    [config.provider, 'openai', ...config.fallbacks.map(fallback => fallback.provider)].forEach(provider => {
+        agent.providerAdapters[provider] = adapter;
+        agent.providerKeys[provider] = 'replay';
+    });
+
+    agent.llmConfig = { provider: config.provider, model: config.model, baseUrl: config.baseUrl, apiKey: 'replay' };
+    agent.streamResponses = config.stream;
+    agent.fallbackModels = config.fallbacks;
+    agent.loopConfig = { ...agent.loopConfig, ...config.loop };
+    agent.retryConfig = { ...agent.retryConfig, ...config.retry };
+    agent.contextConfig = { ...agent.contextConfig, ...config.context };
+    agent.profiles = [{ ...config.profile, id: 'replay' }];
+    agent.activeProfileId = 'replay';
+    // Retries replay the recorded failures without waiting
+    agent.delay = () => Promise.resolve();
+
+    // Tools answer with the tool message the model got, whatever produced it (a result, an
+    // error, a rejection); calls the model never got a result for fail
+    const toolSpans = new Map(trace.spans.filter(span => span.type === 'tool').map(span => [span.id, span]));
+    const toolMessages = new Map(trace.output
+        .filter(message => message.role === 'tool')
+        .map(message => [message.tool_call_id, message.content]));
+    trace.tools.forEach(({ schema, enabled }) => agent.registerTool({
+        schema,
+        enabled,
+        handler: (args, { toolCall }) => {
+            if (!toolMessages.has(toolCall.id)) {
+                throw new Error(`The trace has no result for ${toolCall.function.name} call ${toolCall.id}`);
+            }
+            const span = toolSpans.get(toolCall.id);
+            return { error: Boolean(span && span.isError), content: toolMessages.get(toolCall.id) };
+        },
+        formatResult: (result) => result.content
+    }));
+
+    agent.currentSession.contextSummary = trace.contextSummary ? { ...trace.contextSummary } : null;
+    agent.conversation.push(...JSON.parse(JSON.stringify(messages)));
+    const reason = await agent.agentLoop();
+
+    const output = agent.conversation.slice(messages.length);
+    let mismatch = null;
+    const length = Math.max(output.length, trace.output.length);
+    for (let i = 0; i < length; i++) {
+        if (JSON.stringify(output[i]) !== JSON.stringify(trace.output[i])) {
+            mismatch = { index: i, expected: trace.output[i] || null, actual: output[i] || null };
+            break;
+        }
+    }
+    if (!mismatch && reason !== trace.reason) {
+        mismatch = { reason: { expected: trace.reason, actual: reason } };
+    }
+
+    agent.traceRecorder.detach();
+    const traces = agent.currentSession.traces || [];
+    const replay = traces[traces.length - 1] || null;
+    if (replay) replay.messages = agent.traceRecorder.clone(messages);
+    return { reason, trace: replay, messages: output, mismatch };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        AgentCore,
+        ScriptedLLMAdapter,
+        MCPClient,
+        MCPError,
+        TraceRecorder,
+        replayTrace,
+        readServerSentEvents,
+        OpenAIAdapter,
+        AnthropicAdapter,
+        LLMError,
+        TOOL_REJECTED_PREFIX,
+        DEFAULT_SYSTEM_PROMPT,
+        DEFAULT_MODEL_PRICES,
+        MODEL_CONTEXT_WINDOWS,
+        VISION_MODEL_PATTERNS
+    };
+}
@@ -1,73 +1,496 @@
 // LLM Agent POC - Multi-Tool Reasoning
-class LLMAgent {
+
+// Search providers share one interface: search(query, config, { count, signal })
+// resolves to [{ title, url, snippet }]. config holds the provider's apiKey, engineId
+// and an optional baseUrl override (e.g. a CORS proxy or a self-hosted instance).
+class SearchProvider {
+    async fetchJSON(url, options, label) {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            let detail = response.statusText;
+            try {
+                const body = await response.json();
+                detail = (body.error && (body.error.message || body.error)) || body.message || body.detail || detail;
+            } catch (error) {
+                // Keep the status text
+            }
+            throw new Error(`${label} search error: ${response.status} ${typeof detail === 'string' ? detail : JSON.stringify(detail)}`);
+        }
+        return response.json();
+    }
+
+    requireKey(config, label) {
+        if (!config.apiKey) {
+            throw new Error(`${label} search needs an API key (Configure LLM → Web Search)`);
+        }
+    }
+}
+
+class GoogleSearchProvider extends SearchProvider {
+    async search(query, config, { count, signal }) {
+        this.requireKey(config, 'Google');
+        if (!config.engineId) {
+            throw new Error('Google search needs a Custom Search Engine ID (Configure LLM → Web Search)');
+        }
+
+        const params = new URLSearchParams({
+            key: config.apiKey,
+            cx: config.engineId,
+            q: query,
+            num: String(Math.min(count, 10))
+        });
+        const data = await this.fetchJSON(`${config.baseUrl || 'https://www.googleapis.com/customsearch/v1'}?${params}`, { signal }, 'Google');
+        return (data.items || []).map(item => ({ title: item.title, url: item.link, snippet: item.snippet || '' }));
+    }
+}
+
+class BraveSearchProvider extends SearchProvider {
+    async search(query, config, { count, signal }) {
+        this.requireKey(config, 'Brave');
+
+        const params = new URLSearchParams({ q: query, count: String(Math.min(count, 20)) });
+        const data = await this.fetchJSON(`${config.baseUrl || 'https://api.search.brave.com/res/v1/web/search'}?${params}`, {
+            headers: {
+                'Accept': 'application/json',
+                'X-Subscription-Token': config.apiKey
+            },
+            signal
+        }, 'Brave');
+        return ((data.web && data.web.results) || []).map(item => ({
+            title: item.title,
+            url: item.url,
+            snippet: item.description || ''
+        }));
+    }
+}
+
+class SearxngSearchProvider extends SearchProvider {
+    async search(query, config, { count, signal }) {
+        if (!config.baseUrl) {
+            throw new Error('SearXNG search needs the instance URL (Configure LLM → Web Search)');
+        }
+
+        const params = new URLSearchParams({ q: query, format: 'json' });
+        const data = await this.fetchJSON(`${config.baseUrl.replace(/\/+$/, '')}/search?${params}`, { signal }, 'SearXNG');
+        return (data.results || []).slice(0, count).map(item => ({
+            title: item.title,
+            url: item.url,
+            snippet: item.content || ''
+        }));
+    }
+}
+
+class TavilySearchProvider extends SearchProvider {
+    async search(query, config, { count, signal }) {
+        this.requireKey(config, 'Tavily');
+
+        const data = await this.fetchJSON(config.baseUrl || 'https://api.tavily.com/search', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${config.apiKey}`
+            },
+            body: JSON.stringify({ query, max_results: Math.min(count, 20) }),
+            signal
+        }, 'Tavily');
+        return (data.results || []).map(item => ({ title: item.title, url: item.url, snippet: item.content || '' }));
+    }
+}
+
+// Deterministic offline results for demos and tests
+class MockSearchProvider extends SearchProvider {
+    async search(query, config, { count }) {
+        const slug = encodeURIComponent(query.toLowerCase().replace(/\s+/g, '-'));
+        const results = [
+            { title: `${query} - Official Website`, url: `https://example.com/${slug}`, snippet: `Comprehensive information about ${query}, including history, services, and current developments.` },
+            { title: `${query} News - Latest Updates`, url: `https://news.example.com/${slug}`, snippet: `Recent news and announcements related to ${query} from various sources.` },
+            { title: `${query} - Wikipedia`, url: `https://en.wikipedia.org/wiki/${slug}`, snippet: `Encyclopedia entry covering background, operations, and notable facts about ${query}.` }
+        ];
+        return results.slice(0, count);
+    }
+}
+
+// IndexedDB persistence for chat sessions ({ id, title, createdAt, updatedAt, messages })
+// and app settings. Methods reject when IndexedDB is unavailable; callers fall back to
+// in-memory state.
+class SessionStore {
+    constructor(dbName = 'llm-agent-poc', version = 2) {
+        this.dbName = dbName;
+        this.version = version;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+                const request = indexedDB.open(this.dbName, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        db.createObjectStore('sessions', { keyPath: 'id' });
+                    }
+                    if (!db.objectStoreNames.contains('settings')) {
+                        db.createObjectStore('settings');
+                    }
+                    // Attached images as blobs, so messages only hold their id
+                    if (!db.objectStoreNames.contains('attachments')) {
+                        const attachments = db.createObjectStore('attachments', { keyPath: 'id' });
+                        attachments.createIndex('sessionId', 'sessionId');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async request(storeName, mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async listSessions() {
+        const sessions = await this.request('sessions', 'readonly', store => store.getAll());
+        return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    saveSession(session) {
+        return this.request('sessions', 'readwrite', store => store.put(session));
+    }
+
+    deleteSession(id) {
+        return this.request('sessions', 'readwrite', store => store.delete(id));
+    }
+
+    saveAttachment(attachment) {
+        return this.request('attachments', 'readwrite', store => store.put(attachment));
+    }
+
+    getAttachment(id) {
+        return this.request('attachments', 'readonly', store => store.get(id));
+    }
+
+    deleteAttachments(sessionId) {
+        return this.request('attachments', 'readwrite', store => {
+            const request = store.index('sessionId').openKeyCursor(IDBKeyRange.only(sessionId));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                store.delete(cursor.primaryKey);
+                cursor.continue();
+            };
+            return request;
+        });
+    }
+
+    getSetting(key) {
+        return this.request('settings', 'readonly', store => store.get(key));
+    }
+
+    setSetting(key, value) {
+        return this.request('settings', 'readwrite', store => store.put(value, key));
+    }
+}
+
+class LLMAgent extends AgentCore {
     constructor() {
-        this.conversation = [];
-        this.llmConfig = null;
+        super();
         this.isProcessing = false;
-        this.tools = this.initializeTools();
+        this.jsConfig = { timeoutMs: 10000 };
+        // JSWorkspace per session id
+        this.jsWorkspaces = new Map();
+        this.searchConfig = { provider: 'mock', apiKey: '', engineId: '', baseUrl: '', count: 5 };
+        this.aiPipeConfig = {
+            baseUrl: 'https://aipipe.org',
+            token: '',
+            email: '',
+            endpoint: 'openrouter',
+            model: 'openai/gpt-4.1-nano'
+        };
+        this.searchProviders = {
+            mock: new MockSearchProvider(),
+            google: new GoogleSearchProvider(),
+            brave: new BraveSearchProvider(),
+            searxng: new SearxngSearchProvider(),
+            tavily: new TavilySearchProvider()
+        };
+        this.store = new SessionStore();
+        this.sessions = [];
+        this.rememberApiKey = false;
+        this.pendingLLMConfig = null;
+        this.profileDrafts = null;
+        // Bubble of the answer being streamed, and live timers of running tool cards
+        this.streamingMessage = null;
+        this.toolTimers = new Map();
+        // MCP servers from the settings ({ url, token }) and their connections by URL
+        this.mcpServers = [];
+        this.mcpConnections = new Map();
+        // Files attached to the message being written: [{ id, name, kind: 'image' | 'text', file, url, text }]
+        this.attachments = [];
+        // data: URLs of stored images by attachment id, loaded on first use
+        this.imageCache = new Map();
+        // Trace shown in the trace panel (null follows the latest turn), and imported or
+        // replayed traces, which are not saved with the chat
+        this.selectedTraceId = null;
+        this.extraTraces = [];
         
         this.initializeUI();
+        this.bindAgentEvents();
+        this.initializeTools();
         this.bindEvents();
+        this.restoreState();
+    }
+
+    // Renders the agent core's events into the page
+    bindAgentEvents() {
+        this.on('message', ({ message, index }) => {
+            if (message.role === 'user') {
+                this.addMessage('user', message.content, index);
+                this.persistSession();
+            } else if (message.role === 'assistant') {
+                if (this.streamingMessage) {
+                    this.streamingMessage = null;
+                } else if (message.content) {
+                    this.addMessage('agent', message.content, index);
+                }
+                this.updateContextStatus();
+            }
+        });
+        this.on('delta', ({ content, index }) => {
+            if (!this.streamingMessage) {
+                this.hideLoadingIndicator();
+                this.streamingMessage = this.addMessage('agent', content, index);
+            } else {
+                this.updateMessage(this.streamingMessage, content);
+            }
+        });
+        this.on('stream_reset', () => {
+            if (this.streamingMessage) this.streamingMessage.remove();
+            this.streamingMessage = null;
+        });
+        this.on('status', ({ text }) => {
+            if (text) {
+                this.showLoadingIndicator(text);
+            } else {
+                this.hideLoadingIndicator();
+            }
+        });
+        this.on('notice', ({ text }) => this.addMessage('system', text));
+        this.on('tool_call', ({ toolCall, status }) => this.showToolCall(toolCall, status));
+        this.on('tool_start', ({ toolCall }) => {
+            const timer = this.toolTimers.get(toolCall.id);
+            if (timer) {
+                timer.restart();
+            } else {
+                this.toolTimers.set(toolCall.id, this.startToolTimer(toolCall.id));
+            }
+        });
+        this.on('tool_result', ({ toolCall, result, isError, durationMs }) => {
+            const timer = this.toolTimers.get(toolCall.id);
+            if (timer) {
+                timer.stop(durationMs);
+                this.toolTimers.delete(toolCall.id);
+            }
+            this.showToolResult(toolCall.id, result, isError);
+        });
+        this.on('usage', () => {
+            this.updateUsageStatus();
+            this.checkSessionBudget();
+        });
+        this.on('context_summarized', ({ messages }) => {
+            this.persistSession();
+            this.updateContextStatus(messages);
+        });
+        this.on('step', () => this.persistSession());
+        this.on('error', ({ error }) => {
+            this.showAlert(`Agent error: ${error.message}`, 'danger');
+            this.addMessage('system', `Error: ${error.message}`);
+        });
+        this.on('done', () => {
+            this.streamingMessage = null;
+            this.setProcessingState(false);
+            this.updateRegenerateAction();
+            this.persistSession();
+        });
+        this.on('tools_changed', () => this.renderToolsMenu());
+        this.on('settings_changed', () => this.persistSettings());
+        // The trace recorder subscribed first, so the trace is up to date here
+        ['turn_start', 'llm_call', 'tool_call', 'tool_result', 'done'].forEach(event => {
+            this.on(event, () => this.renderTracePanel());
+        });
     }
 
     initializeTools() {
-        return [
-            {
-                type: "function",
-                function: {
-                    name: "search_web",
-                    description: "Search the web using Google Custom Search API to find current information",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            query: {
-                                type: "string",
-                                description: "The search query to find relevant web content"
-                            }
-                        },
-                        required: ["query"]
-                    }
+        this.registerTool({
+            label: 'Web Search',
+            icon: '🔍',
+            schema: {
+                name: "search_web",
+                description: "Search the web to find current information. Results are numbered; cite them in your answer as [1], [2], etc. using those numbers.",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        query: {
+                            type: "string",
+                            description: "The search query to find relevant web content"
+                        }
+                    },
+                    required: ["query"]
                 }
             },
-            {
-                type: "function",
-                function: {
-                    name: "ai_pipe",
-                    description: "Use AI Pipe proxy for flexible AI workflows and data processing",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            workflow: {
-                                type: "string",
-                                description: "Description of the AI workflow or task to execute"
-                            },
-                            data: {
-                                type: "string",
-                                description: "Input data for the AI workflow (optional)"
-                            }
+            handler: (args, { toolCall, signal }) => this.searchWeb(args, signal, toolCall),
+            renderResult: (result, element) => this.renderSearchResults(result, element)
+        });
+
+        this.registerTool({
+            label: 'AI Pipe',
+            icon: '🤖',
+            schema: {
+                name: "ai_pipe",
+                description: "Use AI Pipe proxy for flexible AI workflows and data processing",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        workflow: {
+                            type: "string",
+                            description: "Description of the AI workflow or task to execute"
                         },
-                        required: ["workflow"]
-                    }
+                        data: {
+                            type: "string",
+                            description: "Input data for the AI workflow (optional)"
+                        },
+                        model: {
+                            type: "string",
+                            description: "Model to run the workflow with, e.g. openai/gpt-4.1-mini on openrouter or gpt-4.1-mini on openai (optional, defaults to the configured model)"
+                        },
+                        endpoint: {
+                            type: "string",
+                            enum: ["openrouter", "openai"],
+                            description: "AI Pipe endpoint to use (optional, defaults to the configured endpoint)"
+                        }
+                    },
+                    required: ["workflow"]
                 }
             },
-            {
-                type: "function",
-                function: {
-                    name: "execute_js",
-                    description: "Execute JavaScript code safely in the browser environment",
-                    parameters: {
-                        type: "object",
-                        properties: {
-                            code: {
-                                type: "string",
-                                description: "JavaScript code to execute (use console.log for output)"
-                            }
-                        },
-                        required: ["code"]
-                    }
+            handler: (args, { signal }) => this.aiPipe(args, signal),
+            renderResult: (result, element) => this.renderAIPipeResult(result, element)
+        });
+
+        this.registerTool({
+            label: 'JS Execution',
+            icon: '⚡',
+            schema: {
+                name: "execute_js",
+                description: "Execute JavaScript code in a Web Worker with an opaque origin (no DOM, page state, storage or credentials). Use console.log for output; top-level await is supported and the value of the last expression is returned. Declarations are local to each call; to keep values for later calls in this chat, store them on the persistent state object (e.g. state.rows = rows). Files attached by the user are in files[name] (CSV/TSV as arrays of row objects, JSON parsed, others as text). Show results with display.table(rows) and display.chart({ type: 'bar'|'line'|'pie'|'scatter', title, labels, datasets: [{ label, data }] }).",
+                parameters: {
+                    type: "object",
+                    properties: {
+                        code: {
+                            type: "string",
+                            description: "JavaScript code to execute (use console.log for output)"
+                        }
+                    },
+                    required: ["code"]
                 }
-            }
-        ];
+            },
+            handler: (args, { signal }) => this.executeJS(args, signal),
+            renderResult: (result, element) => this.renderJSResult(result, element),
+            policy: 'ask',
+            parallel: false
+        });
+    }
+
+    switchProfile(id) {
+        if (!this.profiles.some(profile => profile.id === id)) {
+            throw new Error(`Unknown profile: ${id}`);
+        }
+        this.activeProfileId = id;
+        this.applyProfileTools();
+        this.renderProfileSelect();
+        this.updateModelStatus();
+        this.updateContextStatus();
+        this.persistSettings();
+    }
+
+    applyProfileTools() {
+        const profileTools = this.activeProfile.tools;
+        this.listTools().forEach(tool => {
+            tool.enabled = tool.name in profileTools ? profileTools[tool.name] : tool.defaultEnabled;
+        });
+        this.renderToolsMenu();
+    }
+
+    renderProfileSelect() {
+        const select = this.elements.profileSelect;
+        select.innerHTML = '';
+        this.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            select.appendChild(option);
+        });
+        select.value = this.activeProfile.id;
+    }
+
+    updateModelStatus() {
+        const config = this.getActiveLLMConfig();
+        if (!config) return;
+        this.elements.modelStatus.textContent = `${config.provider} - ${config.model}`;
+        this.elements.statusBar.classList.remove('hidden');
+        // The image warning depends on the model
+        this.renderAttachments();
+    }
+
+    renderToolsMenu() {
+        if (!this.elements) return;
+
+        const tools = this.listTools();
+        const enabled = tools.filter(tool => tool.enabled).map(tool => tool.label);
+        this.elements.toolsStatus.textContent = `Tools: ${enabled.length ? enabled.join(', ') : 'none'}`;
+
+        this.elements.toolsMenu.innerHTML = '';
+        tools.forEach(tool => {
+            const item = document.createElement('li');
+            item.className = 'dropdown-item-text';
+            item.innerHTML = `
+                <div class="d-flex align-items-center justify-content-between gap-3">
+                    <div class="form-check form-switch mb-0">
+                        <input class="form-check-input" type="checkbox" role="switch">
+                        <label class="form-check-label"></label>
+                    </div>
+                    <select class="form-select form-select-sm tool-policy-select" title="Approval policy">
+                        <option value="allow">Allow</option>
+                        <option value="ask">Ask</option>
+                        <option value="deny">Deny</option>
+                    </select>
+                </div>
+            `;
+            const checkbox = item.querySelector('input');
+            const label = item.querySelector('label');
+            checkbox.id = `tool-toggle-${tool.name}`;
+            checkbox.checked = tool.enabled;
+            label.htmlFor = checkbox.id;
+            label.textContent = `${tool.icon} ${tool.label}`;
+            label.title = tool.schema.description || '';
+            checkbox.addEventListener('change', () => this.setToolEnabled(tool.name, checkbox.checked));
+
+            const policySelect = item.querySelector('select');
+            policySelect.value = this.getToolPolicy(tool.name);
+            policySelect.addEventListener('change', () => this.setToolPolicy(tool.name, policySelect.value));
+
+            this.elements.toolsMenu.appendChild(item);
+        });
     }
 
     initializeUI() {
@@ -75,16 +498,88 @@ class LLMAgent {
             messagesContainer: document.getElementById('messages-container'),
             messageInput: document.getElementById('message-input'),
             messageForm: document.getElementById('message-form'),
+            chatArea: document.getElementById('chat-area'),
+            attachBtn: document.getElementById('attach-btn'),
+            attachmentInput: document.getElementById('attachment-input'),
+            attachmentList: document.getElementById('attachment-list'),
             sendBtn: document.getElementById('send-btn'),
+            stopBtn: document.getElementById('stop-btn'),
             configureLlmBtn: document.getElementById('configure-llm-btn'),
             clearChatBtn: document.getElementById('clear-chat-btn'),
+            exportMenu: document.getElementById('export-menu'),
+            importBtn: document.getElementById('import-btn'),
+            importInput: document.getElementById('import-input'),
+            traceBtn: document.getElementById('trace-btn'),
+            tracePanel: document.getElementById('trace-panel'),
+            traceSelect: document.getElementById('trace-select'),
+            traceReplayBtn: document.getElementById('trace-replay-btn'),
+            traceExportBtn: document.getElementById('trace-export-btn'),
+            traceImportBtn: document.getElementById('trace-import-btn'),
+            traceImportInput: document.getElementById('trace-import-input'),
+            traceCloseBtn: document.getElementById('trace-close-btn'),
+            traceSummary: document.getElementById('trace-summary'),
+            traceWaterfall: document.getElementById('trace-waterfall'),
             statusBar: document.getElementById('status-bar'),
             modelStatus: document.getElementById('model-status'),
+            usageStatus: document.getElementById('usage-status'),
+            sessionBudgetInput: document.getElementById('session-budget-input'),
+            priceTableInput: document.getElementById('price-table-input'),
+            profileSelect: document.getElementById('profile-select'),
+            editProfilesBtn: document.getElementById('edit-profiles-btn'),
+            profileModal: document.getElementById('profile-modal'),
+            profileEditSelect: document.getElementById('profile-edit-select'),
+            profileNewBtn: document.getElementById('profile-new-btn'),
+            profileDeleteBtn: document.getElementById('profile-delete-btn'),
+            profileNameInput: document.getElementById('profile-name-input'),
+            profilePromptInput: document.getElementById('profile-prompt-input'),
+            profilePromptResetBtn: document.getElementById('profile-prompt-reset-btn'),
+            profileModelInput: document.getElementById('profile-model-input'),
+            profileTemperatureInput: document.getElementById('profile-temperature-input'),
+            profileMaxTokensInput: document.getElementById('profile-max-tokens-input'),
+            profileTools: document.getElementById('profile-tools'),
+            profileExportBtn: document.getElementById('profile-export-btn'),
+            profileImportBtn: document.getElementById('profile-import-btn'),
+            profileImportInput: document.getElementById('profile-import-input'),
+            saveProfileBtn: document.getElementById('save-profile-btn'),
             llmConfigModal: document.getElementById('llm-config-modal'),
             saveConfigBtn: document.getElementById('save-config-btn'),
             llmProviderContainer: document.getElementById('llm-provider-container'),
+            jsTimeoutInput: document.getElementById('js-timeout-input'),
+            streamResponsesInput: document.getElementById('stream-responses-input'),
+            rememberApiKeyInput: document.getElementById('remember-api-key-input'),
+            searchProviderInput: document.getElementById('search-provider-input'),
+            searchApiKeyInput: document.getElementById('search-api-key-input'),
+            searchEngineIdInput: document.getElementById('search-engine-id-input'),
+            searchBaseUrlInput: document.getElementById('search-base-url-input'),
+            searchCountInput: document.getElementById('search-count-input'),
+            aiPipeTokenInput: document.getElementById('aipipe-token-input'),
+            aiPipeLoginBtn: document.getElementById('aipipe-login-btn'),
+            aiPipeStatus: document.getElementById('aipipe-status'),
+            aiPipeEndpointInput: document.getElementById('aipipe-endpoint-input'),
+            aiPipeModelInput: document.getElementById('aipipe-model-input'),
+            mcpServersInput: document.getElementById('mcp-servers-input'),
+            mcpStatus: document.getElementById('mcp-status'),
+            maxStepsInput: document.getElementById('max-steps-input'),
+            maxTokensInput: document.getElementById('max-tokens-input'),
+            maxCostInput: document.getElementById('max-cost-input'),
+            maxRepeatedCallsInput: document.getElementById('max-repeated-calls-input'),
+            maxParallelToolsInput: document.getElementById('max-parallel-tools-input'),
+            contextWindowInput: document.getElementById('context-window-input'),
+            maxToolOutputInput: document.getElementById('max-tool-output-input'),
+            maxRetriesInput: document.getElementById('max-retries-input'),
+            retryBaseDelayInput: document.getElementById('retry-base-delay-input'),
+            retryMaxDelayInput: document.getElementById('retry-max-delay-input'),
+            fallbackModelsInput: document.getElementById('fallback-models-input'),
+            contextStatus: document.getElementById('context-status'),
+            sessionList: document.getElementById('session-list'),
+            sessionSearch: document.getElementById('session-search'),
+            toolsStatus: document.getElementById('tools-status'),
+            toolsMenu: document.getElementById('tools-menu'),
+            workspaceMenu: document.getElementById('workspace-menu'),
+            dataFileInput: document.getElementById('data-file-input'),
             alertContainer: document.getElementById('alert-container')
         };
+        this.renderProfileSelect();
     }
 
     bindEvents() {
@@ -102,6 +597,41 @@ class LLMAgent {
             }
         });
 
+        // Attachments from the file picker, drag and drop, or the clipboard
+        this.elements.attachBtn.addEventListener('click', () => this.elements.attachmentInput.click());
+        this.elements.attachmentInput.addEventListener('change', async () => {
+            const files = Array.from(this.elements.attachmentInput.files);
+            this.elements.attachmentInput.value = '';
+            await this.addAttachments(files);
+        });
+        this.elements.chatArea.addEventListener('dragover', (e) => {
+            if (!e.dataTransfer || !Array.from(e.dataTransfer.types).includes('Files')) return;
+            e.preventDefault();
+            this.elements.chatArea.classList.add('drop-target');
+        });
+        this.elements.chatArea.addEventListener('dragleave', (e) => {
+            if (!this.elements.chatArea.contains(e.relatedTarget)) {
+                this.elements.chatArea.classList.remove('drop-target');
+            }
+        });
+        this.elements.chatArea.addEventListener('drop', (e) => {
+            this.elements.chatArea.classList.remove('drop-target');
+            if (!e.dataTransfer || e.dataTransfer.files.length === 0) return;
+            e.preventDefault();
+            this.addAttachments(Array.from(e.dataTransfer.files));
+        });
+        this.elements.messageInput.addEventListener('paste', (e) => {
+            const files = Array.from((e.clipboardData && e.clipboardData.files) || []);
+            if (files.length === 0) return;
+            e.preventDefault();
+            this.addAttachments(files);
+        });
+
+        // Stop button
+        this.elements.stopBtn.addEventListener('click', () => {
+            this.stopAgent();
+        });
+
         // Configure LLM button
         this.elements.configureLlmBtn.addEventListener('click', () => {
             this.showLLMConfigModal();
@@ -116,296 +646,1919 @@ class LLMAgent {
         this.elements.clearChatBtn.addEventListener('click', () => {
             this.clearConversation();
         });
-    }
 
-    showLLMConfigModal() {
-        // Initialize bootstrap-llm-provider
-        this.elements.llmProviderContainer.innerHTML = '<div id="llm-provider"></div>';
-        
-        // Create LLM provider interface
-        if (typeof bootstrapLLMProvider !== 'undefined') {
-            bootstrapLLMProvider.create({
-                container: '#llm-provider',
-                providers: ['openai', 'openrouter', 'groq', 'anthropic'],
-                defaultProvider: 'openai'
-            });
-        } else {
-            this.elements.llmProviderContainer.innerHTML = `
-                <div class="alert alert-warning">
-                    <strong>Note:</strong> Using simplified configuration. In production, use bootstrap-llm-provider.
-                </div>
-                <div class="mb-3">
-                    <label class="form-label">Provider</label>
-                    <select class="form-control" id="simple-provider">
-                        <option value="openai">OpenAI</option>
-                        <option value="openrouter">OpenRouter</option>
-                        <option value="groq">Groq</option>
-                    </select>
-                </div>
-                <div class="mb-3">
-                    <label class="form-label">API Key</label>
-                    <input type="password" class="form-control" id="simple-api-key" placeholder="Enter your API key">
-                </div>
-                <div class="mb-3">
-                    <label class="form-label">Model</label>
-                    <input type="text" class="form-control" id="simple-model" value="gpt-3.5-turbo" placeholder="Model name">
-                </div>
-            `;
-        }
+        // AI Pipe login
+        this.elements.aiPipeLoginBtn.addEventListener('click', () => {
+            this.loginToAIPipe();
+        });
 
-        // Show modal
-        const modal = new bootstrap.Modal(this.elements.llmConfigModal);
-        modal.show();
-    }
+        // Export / import
+        this.elements.exportMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-export]');
+            if (item) {
+                e.preventDefault();
+                this.exportConversation(item.dataset.export);
+            }
+        });
+        this.elements.importBtn.addEventListener('click', () => {
+            this.elements.importInput.click();
+        });
+        this.elements.importInput.addEventListener('change', async () => {
+            const file = this.elements.importInput.files[0];
+            this.elements.importInput.value = '';
+            if (file) {
+                await this.importConversation(file);
+            }
+        });
 
-    saveLLMConfiguration() {
-        try {
-            // Try bootstrap-llm-provider first
-            if (typeof bootstrapLLMProvider !== 'undefined' && bootstrapLLMProvider.getConfig) {
-                this.llmConfig = bootstrapLLMProvider.getConfig();
-            } else {
-                // Fallback to simple configuration
-                const provider = document.getElementById('simple-provider').value;
-                const apiKey = document.getElementById('simple-api-key').value;
-                const model = document.getElementById('simple-model').value;
+        // Run trace panel
+        this.elements.traceBtn.addEventListener('click', () => {
+            this.toggleTracePanel();
+        });
+        this.elements.traceCloseBtn.addEventListener('click', () => {
+            this.toggleTracePanel(false);
+        });
+        this.elements.traceSelect.addEventListener('change', () => {
+            this.selectedTraceId = this.elements.traceSelect.value || null;
+            this.renderTracePanel();
+        });
+        this.elements.traceReplayBtn.addEventListener('click', () => {
+            this.replaySelectedTrace();
+        });
+        this.elements.traceExportBtn.addEventListener('click', () => {
+            this.exportTrace();
+        });
+        this.elements.traceImportBtn.addEventListener('click', () => {
+            this.elements.traceImportInput.click();
+        });
+        this.elements.traceImportInput.addEventListener('change', async () => {
+            const file = this.elements.traceImportInput.files[0];
+            this.elements.traceImportInput.value = '';
+            if (file) {
+                await this.importTrace(file);
+            }
+        });
 
-                if (!apiKey) {
-                    this.showAlert('Please enter an API key', 'warning');
-                    return;
-                }
+        // Session search
+        this.elements.sessionSearch.addEventListener('input', () => {
+            this.renderSessionList();
+        });
 
-                this.llmConfig = {
-                    provider,
-                    apiKey,
-                    model,
-                    baseUrl: this.getBaseUrl(provider)
-                };
+        // JS workspace and data files
+        this.elements.workspaceMenu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-action]');
+            if (!item) return;
+            e.preventDefault();
+            if (item.dataset.action === 'add-file') {
+                this.elements.dataFileInput.click();
+            } else if (item.dataset.action === 'reset') {
+                this.resetJSWorkspace();
             }
+        });
+        this.elements.dataFileInput.addEventListener('change', async () => {
+            const files = Array.from(this.elements.dataFileInput.files);
+            this.elements.dataFileInput.value = '';
+            if (files.length > 0) {
+                await this.addDataFiles(files);
+            }
+        });
 
-            this.elements.modelStatus.textContent = `${this.llmConfig.provider} - ${this.llmConfig.model}`;
-            this.elements.statusBar.classList.remove('hidden');
-
-            // Hide modal
-            const modal = bootstrap.Modal.getInstance(this.elements.llmConfigModal);
-            modal.hide();
+        // Agent profiles
+        this.elements.profileSelect.addEventListener('change', () => {
+            this.switchProfile(this.elements.profileSelect.value);
+        });
+        this.elements.editProfilesBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showProfileModal();
+        });
+        this.elements.profileEditSelect.addEventListener('change', () => {
+            if (!this.readProfileForm()) {
+                this.elements.profileEditSelect.value = this.editingProfileId;
+                return;
+            }
+            this.fillProfileForm(this.elements.profileEditSelect.value);
+        });
+        this.elements.profileNewBtn.addEventListener('click', () => {
+            if (!this.readProfileForm()) return;
+            const current = this.profileDrafts.find(profile => profile.id === this.editingProfileId);
+            const profile = this.createProfile('New profile', {
+                systemPrompt: current.systemPrompt,
+                tools: { ...current.tools }
+            });
+            this.profileDrafts.push(profile);
+            this.fillProfileForm(profile.id);
+            this.elements.profileNameInput.select();
+        });
+        this.elements.profileDeleteBtn.addEventListener('click', () => {
+            if (this.profileDrafts.length === 1) {
+                this.showAlert('At least one profile is required', 'warning');
+                return;
+            }
+            this.profileDrafts = this.profileDrafts.filter(profile => profile.id !== this.editingProfileId);
+            this.fillProfileForm(this.profileDrafts[0].id);
+        });
+        this.elements.profilePromptResetBtn.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.elements.profilePromptInput.value = DEFAULT_SYSTEM_PROMPT;
+        });
+        this.elements.saveProfileBtn.addEventListener('click', () => {
+            this.saveProfiles();
+        });
+        this.elements.profileExportBtn.addEventListener('click', () => {
+            if (!this.readProfileForm()) return;
+            this.downloadFile('agent-profiles.json', JSON.stringify(this.buildProfilesExport(this.profileDrafts), null, 2), 'application/json');
+        });
+        this.elements.profileImportBtn.addEventListener('click', () => {
+            this.elements.profileImportInput.click();
+        });
+        this.elements.profileImportInput.addEventListener('change', async () => {
+            const file = this.elements.profileImportInput.files[0];
+            this.elements.profileImportInput.value = '';
+            if (file) {
+                await this.importProfiles(file);
+            }
+        });
+    }
 
-            this.showAlert('LLM configuration saved successfully!', 'success');
+    async restoreState() {
+        try {
+            const settings = await this.store.getSetting('settings');
+            if (settings) {
+                this.applySettings(settings);
+            }
+            if (this.consumeAIPipeLogin()) {
+                this.persistSettings();
+                this.showAlert(`Logged in to AI Pipe${this.aiPipeConfig.email ? ` as ${this.aiPipeConfig.email}` : ''}`, 'success');
+            }
+            this.sessions = await this.store.listSessions();
         } catch (error) {
-            this.showAlert(`Configuration error: ${error.message}`, 'danger');
+            this.showAlert(`Saved sessions are unavailable: ${error.message}`, 'warning');
         }
+
+        if (this.sessions.length > 0) {
+            this.switchSession(this.sessions[0].id);
+        } else {
+            this.startNewSession();
+        }
+
+        // Not awaited: a slow server should not hold up the page
+        this.connectMCPServers();
     }
 
-    getBaseUrl(provider) {
-        const urls = {
-            'openai': 'https://api.openai.com/v1',
-            'openrouter': 'https://openrouter.ai/api/v1',
-            'groq': 'https://api.groq.com/openai/v1'
+    applySettings(settings) {
+        this.rememberApiKey = Boolean(settings.rememberApiKey);
+        if (settings.streamResponses !== undefined) {
+            this.streamResponses = settings.streamResponses;
+        }
+        if (settings.jsConfig) {
+            this.jsConfig = { ...this.jsConfig, ...settings.jsConfig };
+        }
+        if (settings.loopConfig) {
+            this.loopConfig = { ...this.loopConfig, ...settings.loopConfig };
+        }
+        if (settings.contextConfig) {
+            this.contextConfig = { ...this.contextConfig, ...settings.contextConfig };
+        }
+        if (settings.costConfig) {
+            this.costConfig = { ...this.costConfig, ...settings.costConfig };
+        }
+        if (settings.retryConfig) {
+            this.retryConfig = { ...this.retryConfig, ...settings.retryConfig };
+        }
+        if (settings.fallbackModels) {
+            this.fallbackModels = settings.fallbackModels;
+        }
+        if (settings.providerKeys) {
+            this.providerKeys = { ...settings.providerKeys };
+        }
+        if (settings.searchConfig) {
+            this.searchConfig = { ...this.searchConfig, ...settings.searchConfig };
+        }
+        if (settings.toolPolicies) {
+            this.toolPolicies = { ...settings.toolPolicies };
+            this.renderToolsMenu();
+        }
+        if (settings.aiPipeConfig) {
+            this.aiPipeConfig = { ...this.aiPipeConfig, ...settings.aiPipeConfig };
+        }
+        if (Array.isArray(settings.mcpServers)) {
+            this.mcpServers = settings.mcpServers;
+        }
+        if (Array.isArray(settings.profiles) && settings.profiles.length > 0) {
+            this.profiles = settings.profiles.map(profile => this.createProfile(profile.name, profile));
+            this.activeProfileId = settings.activeProfileId;
+            this.applyProfileTools();
+        }
+        this.renderProfileSelect();
+
+        if (settings.llmConfig && settings.llmConfig.apiKey) {
+            this.llmConfig = settings.llmConfig;
+            this.updateModelStatus();
+        } else {
+            // Without a stored key the user must re-enter it; keep the rest for the form
+            this.pendingLLMConfig = settings.llmConfig || null;
+        }
+    }
+
+    async persistSettings() {
+        const llmConfig = this.llmConfig ? { ...this.llmConfig } : null;
+        const searchConfig = { ...this.searchConfig };
+        const aiPipeConfig = { ...this.aiPipeConfig };
+        if (!this.rememberApiKey) {
+            if (llmConfig) delete llmConfig.apiKey;
+            searchConfig.apiKey = '';
+            aiPipeConfig.token = '';
+        }
+
+        try {
+            await this.store.setSetting('settings', {
+                llmConfig,
+                rememberApiKey: this.rememberApiKey,
+                streamResponses: this.streamResponses,
+                jsConfig: this.jsConfig,
+                loopConfig: this.loopConfig,
+                contextConfig: this.contextConfig,
+                retryConfig: this.retryConfig,
+                costConfig: this.costConfig,
+                fallbackModels: this.fallbackModels,
+                providerKeys: this.rememberApiKey ? this.providerKeys : {},
+                searchConfig,
+                aiPipeConfig,
+                mcpServers: this.mcpServers.map(server => (this.rememberApiKey ? server : { ...server, token: '' })),
+                toolPolicies: this.toolPolicies,
+                profiles: this.profiles,
+                activeProfileId: this.activeProfileId
+            });
+        } catch (error) {
+            this.showAlert(`Could not save settings: ${error.message}`, 'warning');
+        }
+    }
+
+    startNewSession() {
+        this.turnUsage = null;
+        this.currentSession = this.createSession();
+        this.conversation = this.currentSession.messages;
+        this.selectedTraceId = null;
+        this.renderConversation(this.conversation);
+        this.updateUsageStatus();
+        this.renderWorkspaceMenu();
+        this.renderSessionList();
+        this.renderTracePanel();
+    }
+
+    switchSession(id) {
+        if (this.isProcessing) {
+            this.showAlert('Please wait for the agent to finish before switching chats', 'warning');
+            return;
+        }
+
+        const session = this.sessions.find(item => item.id === id);
+        if (!session) return;
+
+        this.turnUsage = null;
+        this.currentSession = session;
+        this.conversation = session.messages;
+        this.selectedTraceId = null;
+        this.renderConversation(this.conversation);
+        this.updateUsageStatus();
+        this.renderWorkspaceMenu();
+        this.renderSessionList();
+        this.renderTracePanel();
+    }
+
+    async persistSession() {
+        const session = this.currentSession;
+        if (!session || this.conversation.length === 0) return;
+
+        session.messages = this.conversation;
+        session.updatedAt = Date.now();
+        if (!session.title) {
+            const firstUserMessage = this.conversation.find(message => message.role === 'user');
+            if (firstUserMessage) {
+                const content = firstUserMessage.content;
+                const text = (this.getTypedText(content) || this.getMessageText(content)).replace(/\s+/g, ' ').trim();
+                session.title = text.length > 50 ? `${text.substring(0, 50)}...` : text;
+            }
+        }
+
+        if (!this.sessions.includes(session)) {
+            this.sessions.unshift(session);
+        }
+        this.sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+        this.renderSessionList();
+
+        try {
+            await this.store.saveSession(session);
+        } catch (error) {
+            this.showAlert(`Could not save chat: ${error.message}`, 'warning');
+        }
+    }
+
+    // Each session keeps every branch of the conversation; session.messages is the active
+    // branch's message array. Chats start on their main branch with no data files.
+    createSession() {
+        const session = super.createSession();
+        session.branches = [{ id: 'branch-main', createdAt: session.createdAt, messages: session.messages }];
+        session.activeBranchId = 'branch-main';
+        session.dataFiles = [];
+        return session;
+    }
+
+    getActiveBranch() {
+        return this.currentSession.branches.find(branch => branch.id === this.currentSession.activeBranchId);
+    }
+
+    getBranchId() {
+        return this.getActiveBranch().id;
+    }
+
+    // Starts a new active branch sharing the messages before index with the current one.
+    // The context summary is kept only if it covers nothing past the fork point.
+    forkConversation(index) {
+        const session = this.currentSession;
+        const summary = session.contextSummary;
+        this.getActiveBranch().contextSummary = summary || null;
+
+        const now = Date.now();
+        const branch = {
+            id: `branch-${now}-${Math.random().toString(36).slice(2, 8)}`,
+            createdAt: now,
+            messages: this.conversation.slice(0, index),
+            contextSummary: summary && summary.uptoIndex <= index ? summary : null
+        };
+        this.currentSession.branches.push(branch);
+
+        // The fork keeps the timings of the steps it shares with its parent
+        const timings = this.currentSession.timings;
+        this.getBranchSteps()
+            .filter(step => step.messageIndex < index)
+            .forEach(step => timings.steps.push({ ...step, branchId: branch.id }));
+        this.activateBranch(branch);
+    }
+
+    getBranchSteps() {
+        const id = this.getBranchId();
+        return this.currentSession.timings.steps.filter(step => step.branchId === id);
+    }
+
+    activateBranch(branch) {
+        const session = this.currentSession;
+        session.activeBranchId = branch.id;
+        session.messages = branch.messages;
+        session.contextSummary = branch.contextSummary || null;
+        this.conversation = branch.messages;
+    }
+
+    switchBranch(id) {
+        if (this.isProcessing) {
+            this.showAlert('Please wait for the agent to finish before switching branches', 'warning');
+            return;
+        }
+        const branch = this.currentSession.branches.find(item => item.id === id);
+        if (!branch) return;
+
+        this.getActiveBranch().contextSummary = this.currentSession.contextSummary || null;
+        this.activateBranch(branch);
+        this.renderConversation(this.conversation);
+        this.persistSession();
+    }
+
+    // For each position where another branch first differs from the active one: the branches
+    // to flip between there (one per distinct message, the active branch included)
+    getBranchAlternatives() {
+        const key = (message) => JSON.stringify(message === undefined ? null : message);
+        const current = this.conversation.map(key);
+        const active = this.getActiveBranch();
+        const alternatives = new Map();
+
+        this.currentSession.branches.forEach(branch => {
+            if (branch === active) return;
+            let index = 0;
+            while (index < current.length && index < branch.messages.length && key(branch.messages[index]) === current[index]) {
+                index++;
+            }
+            if (index === current.length && index === branch.messages.length) return;
+
+            if (!alternatives.has(index)) {
+                alternatives.set(index, new Map([[current[index] || key(undefined), active]]));
+            }
+            const byMessage = alternatives.get(index);
+            const messageKey = key(branch.messages[index]);
+            const existing = byMessage.get(messageKey);
+            if (!existing || (existing !== active && branch.createdAt > existing.createdAt)) {
+                byMessage.set(messageKey, branch);
+            }
+        });
+
+        const result = new Map();
+        alternatives.forEach((byMessage, index) => {
+            result.set(index, Array.from(byMessage.values()).sort((a, b) => a.createdAt - b.createdAt));
+        });
+        return result;
+    }
+
+    renderBranchNav(branches) {
+        const position = branches.indexOf(this.getActiveBranch());
+        const nav = document.createElement('div');
+        nav.className = 'branch-nav';
+        nav.innerHTML = `
+            <button type="button" class="branch-nav__button" title="Previous branch"><i class="bi bi-chevron-left"></i></button>
+            <span>Branch ${position + 1} / ${branches.length}</span>
+            <button type="button" class="branch-nav__button" title="Next branch"><i class="bi bi-chevron-right"></i></button>
+        `;
+        const [previous, next] = nav.querySelectorAll('button');
+        previous.disabled = position === 0;
+        next.disabled = position === branches.length - 1;
+        previous.addEventListener('click', () => this.switchBranch(branches[position - 1].id));
+        next.addEventListener('click', () => this.switchBranch(branches[position + 1].id));
+        this.elements.messagesContainer.appendChild(nav);
+    }
+
+    async renameSession(id) {
+        const session = this.sessions.find(item => item.id === id);
+        if (!session) return;
+
+        const title = prompt('Rename chat', session.title || 'New chat');
+        if (title === null || !title.trim()) return;
+
+        session.title = title.trim();
+        this.renderSessionList();
+        try {
+            await this.store.saveSession(session);
+        } catch (error) {
+            this.showAlert(`Could not rename chat: ${error.message}`, 'warning');
+        }
+    }
+
+    async deleteSession(id) {
+        const session = this.sessions.find(item => item.id === id);
+        if (!session) return;
+        if (session === this.currentSession && this.isProcessing) {
+            this.showAlert('Please wait for the agent to finish before deleting this chat', 'warning');
+            return;
+        }
+        if (!confirm(`Delete "${session.title || 'New chat'}"? This cannot be undone.`)) return;
+
+        this.sessions = this.sessions.filter(item => item !== session);
+        if (this.jsWorkspaces.has(id)) {
+            this.jsWorkspaces.get(id).reset();
+            this.jsWorkspaces.delete(id);
+        }
+        try {
+            await this.store.deleteSession(id);
+            await this.store.deleteAttachments(id);
+        } catch (error) {
+            this.showAlert(`Could not delete chat: ${error.message}`, 'warning');
+        }
+
+        if (session === this.currentSession) {
+            if (this.sessions.length > 0) {
+                this.switchSession(this.sessions[0].id);
+            } else {
+                this.startNewSession();
+            }
+        } else {
+            this.renderSessionList();
+        }
+    }
+
+    renderSessionList() {
+        const query = this.elements.sessionSearch.value.trim().toLowerCase();
+        const matches = (session) => {
+            if (!query) return true;
+            if ((session.title || '').toLowerCase().includes(query)) return true;
+            return session.messages.some(message =>
+                this.getMessageText(message.content).toLowerCase().includes(query)
+            );
         };
-        return urls[provider] || urls.openai;
+
+        const sessions = this.sessions.filter(matches);
+        this.elements.sessionList.innerHTML = '';
+
+        if (sessions.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'session-list__empty text-muted';
+            empty.textContent = query ? 'No matching chats' : 'No saved chats yet';
+            this.elements.sessionList.appendChild(empty);
+            return;
+        }
+
+        sessions.forEach(session => {
+            const item = document.createElement('li');
+            item.className = `session-item ${session === this.currentSession ? 'session-item--active' : ''}`;
+            item.innerHTML = `
+                <button type="button" class="session-item__open">
+                    <span class="session-item__title"></span>
+                    <small class="session-item__date"></small>
+                </button>
+                <div class="session-item__actions">
+                    <button type="button" class="session-item__action" data-action="rename" title="Rename">
+                        <i class="bi bi-pencil"></i>
+                    </button>
+                    <button type="button" class="session-item__action" data-action="delete" title="Delete">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                </div>
+            `;
+            item.querySelector('.session-item__title').textContent = session.title || 'New chat';
+            item.querySelector('.session-item__date').textContent = new Date(session.updatedAt).toLocaleString();
+
+            item.querySelector('.session-item__open').addEventListener('click', () => this.switchSession(session.id));
+            item.querySelector('[data-action="rename"]').addEventListener('click', () => this.renameSession(session.id));
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => this.deleteSession(session.id));
+
+            this.elements.sessionList.appendChild(item);
+        });
+    }
+
+    // Rebuilds the transcript, including tool-call cards and their results, from stored messages
+    renderConversation(messages) {
+        this.updateContextStatus();
+        if (messages.length === 0) {
+            this.renderWelcomeMessage();
+            return;
+        }
+
+        const summary = this.currentSession && this.currentSession.contextSummary;
+        const alternatives = this.currentSession ? this.getBranchAlternatives() : new Map();
+        this.elements.messagesContainer.innerHTML = '';
+        messages.forEach((message, index) => {
+            if (summary && index === summary.uptoIndex) {
+                this.addMessage('system', `Messages 1–${index} were summarized to fit the model's context window.`);
+            }
+            if (alternatives.has(index)) {
+                this.renderBranchNav(alternatives.get(index));
+            }
+            if (message.role === 'system') {
+                this.addMessage('system', message.content, index);
+            } else if (message.role === 'user') {
+                this.addMessage('user', message.content, index);
+            } else if (message.role === 'assistant') {
+                if (message.content) {
+                    this.addMessage('agent', message.content, index);
+                }
+                (message.tool_calls || []).forEach(toolCall => this.showToolCall(toolCall));
+            } else if (message.role === 'tool') {
+                const { result, isError } = this.parseToolContent(message.content);
+                this.showToolResult(message.tool_call_id, result, isError);
+            }
+        });
+        // Another branch continues where this one ends
+        if (alternatives.has(messages.length)) {
+            this.renderBranchNav(alternatives.get(messages.length));
+        }
+        this.updateRegenerateAction();
+    }
+
+    parseToolContent(content) {
+        if (typeof content !== 'string') {
+            return { result: content, isError: false };
+        }
+        if (content.startsWith('Tool execution failed') || content.startsWith(TOOL_REJECTED_PREFIX)) {
+            return { result: content, isError: true };
+        }
+        try {
+            const result = JSON.parse(content);
+            if (result && typeof result === 'object') {
+                return { result, isError: Boolean(result.error) };
+            }
+        } catch (error) {
+            // Plain-text result
+        }
+        return { result: content, isError: false };
+    }
+
+    showLLMConfigModal() {
+        // Initialize bootstrap-llm-provider
+        this.elements.llmProviderContainer.innerHTML = '<div id="llm-provider"></div>';
+        
+        // Create LLM provider interface
+        if (typeof bootstrapLLMProvider !== 'undefined') {
+            bootstrapLLMProvider.create({
+                container: '#llm-provider',
+                providers: ['openai', 'openrouter', 'groq', 'anthropic'],
+                defaultProvider: 'openai'
+            });
+        } else {
+            this.elements.llmProviderContainer.innerHTML = `
+                <div class="alert alert-warning">
+                    <strong>Note:</strong> Using simplified configuration. In production, use bootstrap-llm-provider.
+                </div>
+                <div class="mb-3">
+                    <label class="form-label">Provider</label>
+                    <select class="form-control" id="simple-provider">
+                        <option value="openai">OpenAI</option>
+                        <option value="openrouter">OpenRouter</option>
+                        <option value="groq">Groq</option>
+                        <option value="anthropic">Anthropic</option>
+                    </select>
+                </div>
+                <div class="mb-3">
+                    <label class="form-label">API Key</label>
+                    <input type="password" class="form-control" id="simple-api-key" placeholder="Enter your API key">
+                </div>
+                <div class="mb-3">
+                    <label class="form-label">Model</label>
+                    <input type="text" class="form-control" id="simple-model" value="gpt-3.5-turbo" placeholder="Model name">
+                </div>
+                <div class="mb-3">
+                    <label class="form-label">Base URL <small class="text-muted">(optional)</small></label>
+                    <input type="url" class="form-control" id="simple-base-url" placeholder="Defaults to the provider's API, e.g. http://localhost:8080/v1 for a mock server">
+                </div>
+            `;
+        }
+
+        const savedConfig = this.llmConfig || this.pendingLLMConfig;
+        if (savedConfig && document.getElementById('simple-provider')) {
+            document.getElementById('simple-provider').value = savedConfig.provider;
+            document.getElementById('simple-model').value = savedConfig.model;
+            document.getElementById('simple-api-key').value = savedConfig.apiKey || '';
+            if (savedConfig.baseUrl && savedConfig.baseUrl !== this.getBaseUrl(savedConfig.provider)) {
+                document.getElementById('simple-base-url').value = savedConfig.baseUrl;
+            }
+        }
+
+        this.elements.jsTimeoutInput.value = this.jsConfig.timeoutMs / 1000;
+        this.elements.streamResponsesInput.checked = this.streamResponses;
+        this.elements.rememberApiKeyInput.checked = this.rememberApiKey;
+        this.elements.maxStepsInput.value = this.loopConfig.maxSteps;
+        this.elements.maxTokensInput.value = this.loopConfig.maxTokensPerTurn;
+        this.elements.maxCostInput.value = this.loopConfig.maxCostPerTurn;
+        this.elements.maxRepeatedCallsInput.value = this.loopConfig.maxRepeatedCalls;
+        this.elements.maxParallelToolsInput.value = this.loopConfig.maxParallelTools;
+        this.elements.contextWindowInput.value = this.contextConfig.contextWindows
+            .map(({ model, tokens }) => `${model} ${tokens}`)
+            .join('\n');
+        this.elements.maxToolOutputInput.value = this.contextConfig.maxToolOutputTokens;
+        this.elements.sessionBudgetInput.value = this.costConfig.sessionBudget;
+        this.elements.priceTableInput.value = this.costConfig.prices
+            .map(({ provider, model, input, output }) => `${provider} ${model} ${input} ${output}`)
+            .join('\n');
+        this.elements.maxRetriesInput.value = this.retryConfig.maxRetries;
+        this.elements.retryBaseDelayInput.value = this.retryConfig.baseDelayMs / 1000;
+        this.elements.retryMaxDelayInput.value = this.retryConfig.maxDelayMs / 1000;
+        this.elements.fallbackModelsInput.value = this.fallbackModels
+            .map(({ provider, model }) => `${provider}:${model}`)
+            .join('\n');
+        this.elements.searchProviderInput.value = this.searchConfig.provider;
+        this.elements.searchApiKeyInput.value = this.searchConfig.apiKey;
+        this.elements.searchEngineIdInput.value = this.searchConfig.engineId;
+        this.elements.searchBaseUrlInput.value = this.searchConfig.baseUrl;
+        this.elements.searchCountInput.value = this.searchConfig.count;
+        this.elements.aiPipeTokenInput.value = this.aiPipeConfig.token;
+        this.elements.aiPipeEndpointInput.value = this.aiPipeConfig.endpoint;
+        this.elements.aiPipeModelInput.value = this.aiPipeConfig.model;
+        this.elements.mcpServersInput.value = this.mcpServers
+            .map(({ url, token }) => (token ? `${url} ${token}` : url))
+            .join('\n');
+        this.renderMCPStatus();
+        this.elements.aiPipeStatus.textContent = this.aiPipeConfig.token
+            ? `Logged in${this.aiPipeConfig.email ? ` as ${this.aiPipeConfig.email}` : ''}`
+            : 'Not logged in';
+
+        // Show modal
+        const modal = new bootstrap.Modal(this.elements.llmConfigModal);
+        modal.show();
+    }
+
+    saveLLMConfiguration() {
+        try {
+            const timeoutSeconds = Number(this.elements.jsTimeoutInput.value);
+            if (!Number.isFinite(timeoutSeconds) || timeoutSeconds <= 0) {
+                this.showAlert('Please enter a positive JavaScript timeout', 'warning');
+                return;
+            }
+            const loopLimits = [
+                Number(this.elements.maxStepsInput.value),
+                Number(this.elements.maxTokensInput.value),
+                Number(this.elements.maxRepeatedCallsInput.value),
+                Number(this.elements.maxParallelToolsInput.value)
+            ];
+            if (loopLimits.some(value => !Number.isInteger(value) || value < 0)) {
+                this.showAlert('Agent loop limits must be whole numbers (0 for no limit)', 'warning');
+                return;
+            }
+            const maxCostPerTurn = Number(this.elements.maxCostInput.value);
+            if (!Number.isFinite(maxCostPerTurn) || maxCostPerTurn < 0) {
+                this.showAlert('The cost budget must be 0 (no limit) or more', 'warning');
+                return;
+            }
+
+            const contextWindows = this.parseContextWindows(this.elements.contextWindowInput.value);
+            if (typeof contextWindows === 'string') {
+                this.showAlert(contextWindows, 'warning');
+                return;
+            }
+            const maxToolOutputTokens = Number(this.elements.maxToolOutputInput.value);
+            if (!Number.isInteger(maxToolOutputTokens) || maxToolOutputTokens < 100) {
+                this.showAlert('Tool output must be at least 100 tokens', 'warning');
+                return;
+            }
+
+            const sessionBudget = Number(this.elements.sessionBudgetInput.value);
+            if (!Number.isFinite(sessionBudget) || sessionBudget < 0) {
+                this.showAlert('The chat budget must be 0 (none) or a positive amount', 'warning');
+                return;
+            }
+            const prices = this.parsePriceTable(this.elements.priceTableInput.value);
+            if (typeof prices === 'string') {
+                this.showAlert(prices, 'warning');
+                return;
+            }
+
+            const maxRetries = Number(this.elements.maxRetriesInput.value);
+            const baseDelaySeconds = Number(this.elements.retryBaseDelayInput.value);
+            const maxDelaySeconds = Number(this.elements.retryMaxDelayInput.value);
+            if (!Number.isInteger(maxRetries) || maxRetries < 0 || !(baseDelaySeconds >= 0) || !(maxDelaySeconds >= baseDelaySeconds)) {
+                this.showAlert('Retries must be a whole number, and the max delay at least the first delay', 'warning');
+                return;
+            }
+
+            const mcpServers = this.parseMCPServers(this.elements.mcpServersInput.value);
+            if (typeof mcpServers === 'string') {
+                this.showAlert(mcpServers, 'warning');
+                return;
+            }
+
+            const searchCount = Number(this.elements.searchCountInput.value);
+            if (!Number.isInteger(searchCount) || searchCount < 1) {
+                this.showAlert('Search results per query must be at least 1', 'warning');
+                return;
+            }
+
+            this.jsConfig.timeoutMs = Math.round(timeoutSeconds * 1000);
+            this.contextConfig = { ...this.contextConfig, contextWindows, maxToolOutputTokens };
+            this.costConfig = { sessionBudget, prices };
+            this.retryConfig = {
+                maxRetries,
+                baseDelayMs: Math.round(baseDelaySeconds * 1000),
+                maxDelayMs: Math.round(maxDelaySeconds * 1000)
+            };
+            this.searchConfig = {
+                provider: this.elements.searchProviderInput.value,
+                apiKey: this.elements.searchApiKeyInput.value.trim(),
+                engineId: this.elements.searchEngineIdInput.value.trim(),
+                baseUrl: this.elements.searchBaseUrlInput.value.trim(),
+                count: searchCount
+            };
+            const aiPipeToken = this.elements.aiPipeTokenInput.value.trim();
+            this.aiPipeConfig = {
+                ...this.aiPipeConfig,
+                token: aiPipeToken,
+                email: aiPipeToken === this.aiPipeConfig.token ? this.aiPipeConfig.email : '',
+                endpoint: this.elements.aiPipeEndpointInput.value,
+                model: this.elements.aiPipeModelInput.value.trim() || this.aiPipeConfig.model
+            };
+            const mcpChanged = JSON.stringify(mcpServers) !== JSON.stringify(this.mcpServers);
+            this.mcpServers = mcpServers;
+            this.streamResponses = this.elements.streamResponsesInput.checked;
+            const [maxSteps, maxTokensPerTurn, maxRepeatedCalls, maxParallelTools] = loopLimits;
+            this.loopConfig = { maxSteps, maxTokensPerTurn, maxCostPerTurn, maxRepeatedCalls, maxParallelTools };
+
+            // Try bootstrap-llm-provider first
+            if (typeof bootstrapLLMProvider !== 'undefined' && bootstrapLLMProvider.getConfig) {
+                this.llmConfig = bootstrapLLMProvider.getConfig();
+            } else {
+                // Fallback to simple configuration
+                const provider = document.getElementById('simple-provider').value;
+                const apiKey = document.getElementById('simple-api-key').value;
+                const model = document.getElementById('simple-model').value;
+                const baseUrl = document.getElementById('simple-base-url').value.trim().replace(/\/+$/, '');
+
+                if (!apiKey) {
+                    this.showAlert('Please enter an API key', 'warning');
+                    return;
+                }
+
+                this.llmConfig = {
+                    provider,
+                    apiKey,
+                    model,
+                    baseUrl: baseUrl || this.getBaseUrl(provider)
+                };
+            }
+
+            if (!this.llmConfig.baseUrl) {
+                this.llmConfig.baseUrl = this.getBaseUrl(this.llmConfig.provider);
+            }
+            this.providerKeys[this.llmConfig.provider] = this.llmConfig.apiKey;
+            this.fallbackModels = this.parseFallbackModels(this.elements.fallbackModelsInput.value);
+
+            this.rememberApiKey = this.elements.rememberApiKeyInput.checked;
+            this.pendingLLMConfig = null;
+            this.persistSettings();
+
+            this.updateModelStatus();
+            this.updateContextStatus();
+            this.updateUsageStatus();
+            if (mcpChanged) {
+                this.connectMCPServers();
+            }
+
+            // Hide modal
+            const modal = bootstrap.Modal.getInstance(this.elements.llmConfigModal);
+            modal.hide();
+
+            this.showAlert('LLM configuration saved successfully!', 'success');
+        } catch (error) {
+            this.showAlert(`Configuration error: ${error.message}`, 'danger');
+        }
+    }
+
+    // One "provider model input output" line per model; returns the prices or an error message
+    parsePriceTable(text) {
+        const prices = [];
+        const lines = text.split('\n').map(line => line.trim());
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i]) continue;
+            const [provider, model, input, output, ...rest] = lines[i].split(/\s+/);
+            const values = [Number(input), Number(output)];
+            if (!output || rest.length > 0 || values.some(value => !Number.isFinite(value) || value < 0)) {
+                return `Price table line ${i + 1} should be "provider model input-price output-price"`;
+            }
+            prices.push({ provider, model, input: values[0], output: values[1] });
+        }
+        return prices;
+    }
+
+    // One "model tokens" line per model; returns the sizes or an error message
+    parseContextWindows(text) {
+        const windows = [];
+        const lines = text.split('\n').map(line => line.trim());
+        for (let i = 0; i < lines.length; i++) {
+            if (!lines[i]) continue;
+            const [model, tokens, ...rest] = lines[i].split(/\s+/);
+            if (!tokens || rest.length > 0 || !Number.isInteger(Number(tokens)) || Number(tokens) < 1000) {
+                return `Context window line ${i + 1} should be "model-prefix tokens" with at least 1000 tokens`;
+            }
+            windows.push({ model, tokens: Number(tokens) });
+        }
+        return windows;
+    }
+
+    // "model" uses the current provider; "provider:model" switches provider when it is a known one
+    parseFallbackModels(text) {
+        const providers = ['openai', 'openrouter', 'groq', 'anthropic'];
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const separator = line.indexOf(':');
+                const prefix = separator > 0 ? line.slice(0, separator) : '';
+                return providers.includes(prefix)
+                    ? { provider: prefix, model: line.slice(separator + 1).trim() }
+                    : { provider: this.llmConfig.provider, model: line };
+            });
+    }
+
+    // One server per line: URL, optionally followed by a bearer token. Returns an error
+    // message for an invalid line.
+    parseMCPServers(text) {
+        const servers = [];
+        const lines = text.split('\n');
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line) continue;
+            const [url, token = ''] = line.split(/\s+/);
+            if (!/^https?:\/\//.test(url)) {
+                return `MCP server line ${i + 1} should start with an http:// or https:// URL`;
+            }
+            servers.push({ url, token });
+        }
+        return servers;
+    }
+
+    // (Re)connects the configured MCP servers and registers their tools
+    async connectMCPServers() {
+        await Promise.all(Array.from(this.mcpConnections.keys()).map(url => this.disconnectMCPServer(url)));
+        await Promise.all(this.mcpServers.map(server => this.connectMCPServer(server)));
+    }
+
+    async connectMCPServer({ url, token }) {
+        const client = new MCPClient(url, { headers: token ? { Authorization: `Bearer ${token}` } : {} });
+        const connection = { client, toolNames: [], status: 'Connecting...', failed: false };
+        this.mcpConnections.set(url, connection);
+        this.renderMCPStatus();
+
+        try {
+            await client.connect();
+            const tools = await client.listTools();
+            if (this.mcpConnections.get(url) !== connection) {
+                // Reconnected or removed while this connection was starting
+                await client.close();
+                return;
+            }
+            const serverName = client.serverInfo.name || new URL(url).host;
+            tools.forEach(tool => connection.toolNames.push(this.registerMCPTool(connection, serverName, tool)));
+            connection.status = `Connected to ${serverName}: ${tools.map(tool => tool.name).join(', ') || 'no tools'}`;
+        } catch (error) {
+            connection.status = `Not connected: ${error.message}`;
+            connection.failed = true;
+            this.showAlert(`Could not connect to MCP server ${url}: ${error.message}`, 'warning');
+        }
+        this.renderMCPStatus();
+    }
+
+    async disconnectMCPServer(url) {
+        const connection = this.mcpConnections.get(url);
+        if (!connection) return;
+        this.mcpConnections.delete(url);
+        connection.toolNames.forEach(name => this.unregisterTool(name));
+        this.renderMCPStatus();
+        await connection.client.close();
+    }
+
+    // Registers an MCP tool under its own name, or prefixed with the server's name if that
+    // is taken. Calls go to the server's tools/call; error results become tool errors.
+    registerMCPTool(connection, serverName, tool) {
+        const slug = (text) => text.replace(/[^a-zA-Z0-9_-]/g, '_');
+        let name = slug(tool.name).slice(0, 64);
+        if (this.getTool(name)) {
+            const prefixed = `${slug(serverName)}__${slug(tool.name)}`;
+            name = prefixed.slice(0, 64);
+            for (let n = 2; this.getTool(name); n++) {
+                name = `${prefixed.slice(0, 64 - `_${n}`.length)}_${n}`;
+            }
+        }
+
+        this.registerTool({
+            label: `${tool.title || tool.name} (${serverName})`,
+            icon: '🔌',
+            schema: {
+                name,
+                description: tool.description || '',
+                parameters: tool.inputSchema || { type: 'object', properties: {} }
+            },
+            policy: 'ask',
+            handler: async (args, { signal }) => {
+                const result = await connection.client.callTool(tool.name, args, signal);
+                const content = result.content || [];
+                if (result.isError) {
+                    throw new Error(this.mcpResultText(content) || `${tool.name} reported an error`);
+                }
+                return { server: serverName, content };
+            },
+            // The model gets the text; images can only be shown to the user
+            formatResult: (result) => this.mcpResultText(result.content),
+            renderResult: (result, element) => this.renderMCPResult(result, element)
+        });
+        return name;
+    }
+
+    mcpResultText(content) {
+        return content.map(item => {
+            if (item.type === 'text') return item.text;
+            if (item.type === 'image') return `[${item.mimeType} image, shown to the user]`;
+            if (item.type === 'resource' && item.resource) {
+                const { uri, text } = item.resource;
+                return text !== undefined ? `${uri}\n${text}` : `[resource ${uri}]`;
+            }
+            if (item.type === 'resource_link') return `[resource ${item.uri}]`;
+            return JSON.stringify(item);
+        }).join('\n\n');
+    }
+
+    // Restored chats only have the text the model saw, so the result may be a string
+    renderMCPResult(result, element) {
+        if (!result || !Array.isArray(result.content)) {
+            element.textContent = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+            return;
+        }
+
+        element.classList.add('tool-call__result--mcp');
+        result.content.forEach(item => {
+            if (item.type === 'image') {
+                const image = document.createElement('img');
+                image.className = 'tool-call__image';
+                image.src = `data:${item.mimeType};base64,${item.data}`;
+                image.alt = `Image from ${result.server}`;
+                element.appendChild(image);
+                return;
+            }
+            const text = document.createElement('div');
+            text.textContent = this.mcpResultText([item]);
+            element.appendChild(text);
+        });
+    }
+
+    renderMCPStatus() {
+        const list = this.elements.mcpStatus;
+        list.innerHTML = '';
+        this.mcpConnections.forEach((connection, url) => {
+            const item = document.createElement('li');
+            item.className = connection.failed ? 'text-danger' : 'text-muted';
+            item.textContent = `${url}: ${connection.status}`;
+            list.appendChild(item);
+        });
     }
 
     async handleUserMessage() {
         const message = this.elements.messageInput.value.trim();
-        if (!message || this.isProcessing) return;
+        if ((!message && this.attachments.length === 0) || this.isProcessing) return;
 
         if (!this.llmConfig) {
             this.showAlert('Please configure an LLM provider first', 'warning');
             return;
         }
+        if (this.attachments.some(attachment => attachment.kind === 'image') && !this.supportsImages()) {
+            const config = this.getActiveLLMConfig();
+            if (!confirm(`${config.provider} - ${config.model} may not accept images, and the request could fail. Send anyway?`)) return;
+        }
+        const attachments = this.attachments;
 
         // Clear input and disable send button
         this.elements.messageInput.value = '';
+        this.attachments = [];
+        this.renderAttachments();
         this.setProcessingState(true);
 
-        // Add user message to conversation
-        this.addMessage('user', message);
-        this.conversation.push({ role: 'user', content: message });
+        for (const attachment of attachments) {
+            if (attachment.kind === 'image') {
+                attachment.url = await this.storeImage(attachment.id, attachment.file, attachment.url);
+            }
+        }
 
-        // Start the agent reasoning loop
-        await this.agentLoop();
+        // Add the user message and start the agent reasoning loop
+        await this.send(this.buildUserContent(message, attachments));
     }
 
-    async agentLoop() {
-        try {
-            let needsUserInput = false;
-            
-            while (!needsUserInput) {
-                // Call LLM with current conversation and tools
-                const response = await this.callLLM(this.conversation, this.tools);
-                
-                if (response.content) {
-                    this.addMessage('agent', response.content);
-                }
+    // Images are read as data URLs for the preview and the model, and stored on their own
+    // when sent; text files are inlined into the message
+    async addAttachments(files) {
+        const maxImageBytes = 5 * 1024 * 1024;
+        const maxTextBytes = 200 * 1024;
+        const textExtensions = /\.(txt|md|csv|tsv|json|jsonl|js|ts|py|sql|xml|ya?ml|html|css|log)$/i;
 
-                if (response.tool_calls && response.tool_calls.length > 0) {
-                    // Execute tool calls
-                    for (const toolCall of response.tool_calls) {
-                        await this.handleToolCall(toolCall);
-                    }
-                } else {
-                    // No tool calls, wait for user input
-                    needsUserInput = true;
+        for (const file of files) {
+            const id = `attachment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            if (file.type.startsWith('image/')) {
+                if (file.size > maxImageBytes) {
+                    this.showAlert(`${file.name} is over the 5 MB image limit`, 'warning');
+                    continue;
+                }
+                this.attachments.push({ id, name: file.name, kind: 'image', file, url: await this.readAsDataURL(file) });
+            } else if (file.type.startsWith('text/') || /json|xml|javascript|yaml/.test(file.type) || textExtensions.test(file.name)) {
+                if (file.size > maxTextBytes) {
+                    this.showAlert(`${file.name} is over the 200 KB limit for text files`, 'warning');
+                    continue;
+                }
+                const text = await file.text();
+                if (text.includes('\u0000')) {
+                    this.showAlert(`${file.name} does not look like a text file`, 'warning');
+                    continue;
                 }
+                this.attachments.push({ id, name: file.name, kind: 'text', text });
+            } else {
+                this.showAlert(`${file.name}: only images and text files can be attached`, 'warning');
             }
+        }
+        this.renderAttachments();
+    }
+
+    readAsDataURL(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    // Saves an image blob in the attachment store of a chat and returns the attachment:<id>
+    // URL messages reference it by. Without IndexedDB the message keeps the data: URL.
+    async storeImage(id, blob, dataUrl, sessionId = this.currentSession.id) {
+        this.imageCache.set(id, dataUrl);
+        try {
+            await this.store.saveAttachment({ id, sessionId, type: blob.type, blob, createdAt: Date.now() });
+            return `attachment:${id}`;
         } catch (error) {
-            this.showAlert(`Agent error: ${error.message}`, 'danger');
-            this.addMessage('system', `Error: ${error.message}`);
-        } finally {
-            this.setProcessingState(false);
+            return dataUrl;
+        }
+    }
+
+    // The data: URL for an image part's url, or null when the stored image is gone
+    async getImageData(url) {
+        if (!url.startsWith('attachment:')) return url;
+        const id = url.slice('attachment:'.length);
+        if (!this.imageCache.has(id)) {
+            let record = null;
+            try {
+                record = await this.store.getAttachment(id);
+            } catch (error) {
+                // Reported as missing
+            }
+            if (!record) return null;
+            this.imageCache.set(id, await this.readAsDataURL(record.blob));
+        }
+        return this.imageCache.get(id);
+    }
+
+    // The messages with stored images replaced by their data, for requests and exports
+    withImageData(messages) {
+        const isStored = (part) => part.type === 'image_url' && part.image_url.url.startsWith('attachment:');
+        return Promise.all(messages.map(async message => {
+            if (!Array.isArray(message.content) || !message.content.some(isStored)) return message;
+            const content = await Promise.all(message.content.map(async part => {
+                if (!isStored(part)) return part;
+                const url = await this.getImageData(part.image_url.url);
+                return url
+                    ? { ...part, image_url: { ...part.image_url, url } }
+                    : { type: 'text', text: '[An attached image is no longer available]' };
+            }));
+            return { ...message, content };
+        }));
+    }
+
+    // Moves the data: URL images of imported messages into the attachment store
+    async storeInlineImages(messages, sessionId) {
+        for (const message of messages) {
+            if (!Array.isArray(message.content)) continue;
+            for (const part of message.content) {
+                if (part.type !== 'image_url' || !part.image_url.url.startsWith('data:')) continue;
+                const id = `attachment-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+                const blob = await (await fetch(part.image_url.url)).blob();
+                part.image_url.url = await this.storeImage(id, blob, part.image_url.url, sessionId);
+            }
+        }
+    }
+
+    // Stored images are sent to the model as data
+    async prepareContext(signal) {
+        return this.withImageData(await super.prepareContext(signal));
+    }
+
+    removeAttachment(id) {
+        this.attachments = this.attachments.filter(attachment => attachment.id !== id);
+        this.renderAttachments();
+    }
+
+    renderAttachments() {
+        const list = this.elements.attachmentList;
+        list.innerHTML = '';
+        list.classList.toggle('hidden', this.attachments.length === 0);
+
+        this.attachments.forEach(attachment => {
+            const item = document.createElement('div');
+            item.className = 'attachment';
+            if (attachment.kind === 'image') {
+                const thumb = document.createElement('img');
+                thumb.className = 'attachment__thumb';
+                thumb.src = attachment.url;
+                thumb.alt = attachment.name;
+                item.appendChild(thumb);
+            } else {
+                item.innerHTML = '<i class="bi bi-file-earmark-text"></i>';
+            }
+
+            const name = document.createElement('span');
+            name.className = 'attachment__name';
+            name.textContent = attachment.name;
+            name.title = attachment.name;
+            item.appendChild(name);
+
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'attachment__remove';
+            remove.title = 'Remove';
+            remove.innerHTML = '<i class="bi bi-x-lg"></i>';
+            remove.addEventListener('click', () => this.removeAttachment(attachment.id));
+            item.appendChild(remove);
+
+            list.appendChild(item);
+        });
+
+        const config = this.getActiveLLMConfig();
+        if (config && this.attachments.some(attachment => attachment.kind === 'image') && !this.supportsImages(config)) {
+            const warning = document.createElement('div');
+            warning.className = 'attachment-list__warning';
+            warning.textContent = `${config.provider} - ${config.model} may not accept images. Choose a vision model or remove the images.`;
+            list.appendChild(warning);
+        }
+    }
+
+    // Plain text stays a string; with attachments the content becomes OpenAI-style parts:
+    // the typed text, then each file as a text part and each image as an image_url part
+    buildUserContent(text, attachments) {
+        if (attachments.length === 0) return text;
+
+        const parts = text ? [{ type: 'text', text }] : [];
+        attachments.forEach(attachment => {
+            parts.push(attachment.kind === 'image'
+                ? { type: 'image_url', image_url: { url: attachment.url } }
+                : { type: 'text', text: this.formatAttachedFile(attachment.name, attachment.text) });
+        });
+        return parts;
+    }
+
+    // The fence is longer than any backtick run in the file, so the file cannot close it
+    formatAttachedFile(name, text) {
+        const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longestRun + 1);
+        return `Attached file ${JSON.stringify(name)}:\n\n${fence}\n${text}\n${fence}`;
+    }
+
+    // { name, text } of a text part made by formatAttachedFile, or null for typed text
+    parseAttachedFile(text) {
+        const match = /^Attached file ("(?:[^"\\\n]|\\.)*"):\n\n(`{3,})\n([\s\S]*)\n\2$/.exec(text || '');
+        return match ? { name: JSON.parse(match[1]), text: match[3] } : null;
+    }
+
+    // What the user typed, without attached files and images
+    getTypedText(content) {
+        if (!Array.isArray(content)) return content || '';
+        return content
+            .filter(part => part.type === 'text' && !this.parseAttachedFile(part.text))
+            .map(part => part.text)
+            .join('\n\n');
+    }
+
+    // Replaces what the user typed, keeping the attachments
+    withTypedText(content, text) {
+        if (!Array.isArray(content)) return text;
+        const attachments = content.filter(part => part.type !== 'text' || this.parseAttachedFile(part.text));
+        return text ? [{ type: 'text', text }, ...attachments] : attachments;
+    }
+
+    // Re-runs the conversation from an edited user message on a new branch
+    async editMessage(index, content) {
+        if (this.isProcessing) return;
+        if (!this.llmConfig) {
+            this.showAlert('Please configure an LLM provider first', 'warning');
+            return;
         }
+
+        this.forkConversation(index);
+        // Through appendMessage so 'message' listeners see the edited turn (and save it)
+        this.appendMessage({ role: 'user', content });
+        this.renderConversation(this.conversation);
+        this.setProcessingState(true);
+        await this.agentLoop();
+    }
+
+    // Answers the last user message again on a new branch
+    async regenerateResponse() {
+        if (this.isProcessing) return;
+        if (!this.llmConfig) {
+            this.showAlert('Please configure an LLM provider first', 'warning');
+            return;
+        }
+        const userIndex = this.conversation.map(message => message.role).lastIndexOf('user');
+        if (userIndex === -1) return;
+
+        this.forkConversation(userIndex + 1);
+        this.renderConversation(this.conversation);
+        this.setProcessingState(true);
+        await this.agentLoop();
     }
 
-    async callLLM(messages, tools) {
-        this.showLoadingIndicator();
+    updateContextStatus(messages = this.buildContextMessages()) {
+        const used = this.estimateContextTokens(messages);
+        const limit = this.getContextWindow();
+        const format = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+        const percent = Math.round((used / limit) * 100);
 
-        const payload = {
-            model: this.llmConfig.model,
-            messages: messages,
-            tools: tools,
-            tool_choice: 'auto',
-            max_tokens: 1500,
-            temperature: 0.7
+        this.elements.contextStatus.textContent = `Context: ~${format(used)} / ${format(limit)} tokens (${percent}%)`;
+        this.elements.contextStatus.classList.toggle('text-warning', percent >= this.contextConfig.summarizeAt * 100);
+    }
+
+    checkSessionBudget() {
+        const { sessionBudget } = this.costConfig;
+        const session = this.currentSession;
+        const usage = this.currentSession.usage;
+        if (sessionBudget <= 0 || usage.cost <= sessionBudget || session.budgetWarned) return;
+
+        session.budgetWarned = true;
+        const message = `This chat has cost ${this.formatCost(usage.cost)}, over its budget of ${this.formatCost(sessionBudget)}.`;
+        this.showAlert(message, 'warning');
+        this.addMessage('system', message);
+    }
+
+    formatCost(cost) {
+        return cost < 0.01 && cost > 0 ? `$${cost.toFixed(4)}` : `$${cost.toFixed(2)}`;
+    }
+
+    updateUsageStatus() {
+        const format = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+        const describe = (usage) => {
+            const incomplete = usage.unpricedCalls > 0 || usage.unreportedCalls > 0 ? '+' : '';
+            const tokens = `${format(usage.promptTokens + usage.completionTokens)}${usage.unreportedCalls > 0 ? '+' : ''}`;
+            const cost = `${this.formatCost(usage.cost)}${incomplete}`;
+            return `${tokens} tokens, ${cost}`;
         };
 
-        const response = await fetch(`${this.llmConfig.baseUrl}/chat/completions`, {
+        const session = this.currentSession ? this.currentSession.usage : this.createUsageTotals();
+        const parts = [];
+        if (this.turnUsage) parts.push(`turn ${describe(this.turnUsage)}`);
+        parts.push(`chat ${describe(session)}`);
+
+        const status = this.elements.usageStatus;
+        status.textContent = `Usage: ${parts.join(' · ')}`;
+        status.title = [
+            `Chat: ${session.promptTokens} prompt + ${session.completionTokens} completion tokens`,
+            session.unpricedCalls > 0 ? `${session.unpricedCalls} calls used models missing from the price table` : '',
+            session.unreportedCalls > 0 ? `${session.unreportedCalls} calls returned no token usage` : ''
+        ].filter(Boolean).join('\n');
+        const { sessionBudget } = this.costConfig;
+        status.classList.toggle('text-danger', sessionBudget > 0 && session.cost > sessionBudget);
+    }
+
+    // Shows live elapsed time on a tool card; restart() excludes time spent awaiting approval
+    startToolTimer(toolId) {
+        const toolDiv = document.getElementById(`tool-${toolId}`);
+        const status = toolDiv && toolDiv.querySelector('.tool-call__status');
+        const label = toolDiv && toolDiv.querySelector('.loading-indicator span');
+        let started = performance.now();
+        let interval = null;
+
+        const render = (ms = performance.now() - started) => {
+            if (status) status.textContent = `${(ms / 1000).toFixed(1)}s`;
+        };
+        const run = () => {
+            started = performance.now();
+            if (label) label.textContent = 'Executing tool...';
+            clearInterval(interval);
+            render();
+            interval = setInterval(render, 100);
+        };
+        run();
+
+        return {
+            restart: run,
+            // Shows the duration the core measured
+            stop: (durationMs) => {
+                clearInterval(interval);
+                render(durationMs);
+            }
+        };
+    }
+
+    // Shows editable arguments with Approve/Reject buttons in the tool card and resolves
+    // with { approved: true, args } or { approved: false, reason }
+    requestToolApproval(toolCall, tool, args, signal) {
+        const toolDiv = document.getElementById(`tool-${toolCall.id}`);
+        const loadingIndicator = toolDiv.querySelector('.loading-indicator');
+        loadingIndicator.classList.add('hidden');
+
+        const panel = document.createElement('div');
+        panel.className = 'tool-approval';
+        panel.innerHTML = `
+            <label class="form-label">Arguments (editable JSON)</label>
+            <textarea class="form-control tool-approval__args" rows="6" spellcheck="false"></textarea>
+            <div class="tool-approval__error hidden"></div>
+            <input type="text" class="form-control form-control-sm tool-approval__reason" placeholder="Reason for rejecting (optional, sent to the model)">
+            <div class="tool-approval__actions">
+                <button type="button" class="btn btn--primary btn--sm" data-action="approve">
+                    <i class="bi bi-check-lg me-1"></i>Approve
+                </button>
+                <button type="button" class="btn btn--secondary btn--sm" data-action="reject">
+                    <i class="bi bi-x-lg me-1"></i>Reject
+                </button>
+            </div>
+        `;
+        const argsInput = panel.querySelector('.tool-approval__args');
+        const errorDiv = panel.querySelector('.tool-approval__error');
+        const originalText = JSON.stringify(args, null, 2);
+        argsInput.value = originalText;
+        toolDiv.insertBefore(panel, loadingIndicator);
+        this.scrollToBottom();
+
+        return new Promise((resolve, reject) => {
+            let onAbort = null;
+            const finish = (decision) => {
+                if (onAbort) signal.removeEventListener('abort', onAbort);
+                panel.remove();
+                loadingIndicator.classList.remove('hidden');
+                resolve(decision);
+            };
+
+            panel.querySelector('[data-action="approve"]').addEventListener('click', () => {
+                if (argsInput.value === originalText) {
+                    finish({ approved: true, args });
+                    return;
+                }
+
+                let edited;
+                try {
+                    edited = JSON.parse(argsInput.value);
+                } catch (error) {
+                    errorDiv.textContent = `Invalid JSON: ${error.message}`;
+                    errorDiv.classList.remove('hidden');
+                    return;
+                }
+                const errors = this.validateToolArguments(tool.schema.parameters, edited);
+                if (errors.length > 0) {
+                    errorDiv.textContent = errors.join('; ');
+                    errorDiv.classList.remove('hidden');
+                    return;
+                }
+                finish({ approved: true, args: edited });
+            });
+
+            panel.querySelector('[data-action="reject"]').addEventListener('click', () => {
+                finish({ approved: false, reason: panel.querySelector('.tool-approval__reason').value.trim() });
+            });
+
+            if (signal) {
+                onAbort = () => {
+                    panel.remove();
+                    loadingIndicator.classList.remove('hidden');
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    async searchWeb({ query }, signal, toolCall) {
+        const config = this.searchConfig;
+        const provider = this.searchProviders[config.provider];
+        if (!provider) {
+            throw new Error(`Unknown search provider: ${config.provider}`);
+        }
+
+        const start = this.nextCitationIndex(toolCall, config.count);
+        const results = (await provider.search(query, config, { count: config.count, signal })).slice(0, config.count);
+        return {
+            query,
+            provider: config.provider,
+            results: results.map((result, i) => ({ index: start + i, ...result }))
+        };
+    }
+
+    // Numbers results after the citations already in this branch so [n] stays unique. Searches
+    // in the same step run before any of their results are added, so each one takes the next
+    // count numbers after the searches called ahead of it.
+    nextCitationIndex(toolCall, count) {
+        const existing = Math.max(0, ...this.collectCitations(this.conversation).keys());
+        const message = toolCall && this.conversation.findLast(item =>
+            item.role === 'assistant' && (item.tool_calls || []).some(call => call.id === toolCall.id));
+        if (!message) return existing + 1;
+
+        const searches = message.tool_calls.filter(call => call.function.name === 'search_web');
+        return existing + 1 + searches.findIndex(call => call.id === toolCall.id) * count;
+    }
+
+    // Maps citation number to { title, url, snippet } for every search_web result in messages
+    collectCitations(messages) {
+        const searchCallIds = new Set();
+        const citations = new Map();
+
+        messages.forEach(message => {
+            if (message.role === 'assistant') {
+                (message.tool_calls || [])
+                    .filter(toolCall => toolCall.function.name === 'search_web')
+                    .forEach(toolCall => searchCallIds.add(toolCall.id));
+            } else if (message.role === 'tool' && searchCallIds.has(message.tool_call_id)) {
+                const { result } = this.parseToolContent(message.content);
+                if (result && Array.isArray(result.results)) {
+                    result.results.forEach(item => citations.set(item.index, item));
+                }
+            }
+        });
+
+        return citations;
+    }
+
+    renderSearchResults(result, element) {
+        element.classList.add('tool-call__result--citations');
+        if (!result.results || result.results.length === 0) {
+            element.textContent = `No results for "${result.query}"`;
+            return;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'citation-list';
+        result.results.forEach(item => {
+            const entry = document.createElement('li');
+            entry.value = item.index;
+            entry.innerHTML = `
+                <a class="citation-list__title" target="_blank" rel="noopener noreferrer"></a>
+                <div class="citation-list__url"></div>
+                <div class="citation-list__snippet"></div>
+            `;
+            const link = entry.querySelector('a');
+            link.textContent = item.title;
+            if (/^https?:\/\//i.test(item.url)) {
+                link.href = item.url;
+            }
+            entry.querySelector('.citation-list__url').textContent = item.url;
+            entry.querySelector('.citation-list__snippet').textContent = item.snippet;
+            list.appendChild(entry);
+        });
+        element.appendChild(list);
+    }
+
+    // Runs a workflow through the aipipe.org OpenAI-compatible proxy. Failures the model
+    // can act on (login, quota, bad request) come back as { error, message } results
+    // rather than exceptions.
+    async aiPipe({ workflow, data = '', model, endpoint }, signal) {
+        const config = this.aiPipeConfig;
+        if (!config.token) {
+            return {
+                error: 'not_logged_in',
+                message: 'AI Pipe is not configured. Ask the user to log in to AI Pipe under Configure LLM → AI Pipe.'
+            };
+        }
+
+        const selectedEndpoint = endpoint || config.endpoint;
+        const selectedModel = model || config.model;
+        const messages = data
+            ? [{ role: 'system', content: workflow }, { role: 'user', content: data }]
+            : [{ role: 'user', content: workflow }];
+
+        const response = await fetch(`${config.baseUrl}/${selectedEndpoint}/v1/chat/completions`, {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
-                'Authorization': `Bearer ${this.llmConfig.apiKey}`
+                'Authorization': `Bearer ${config.token}`
             },
-            body: JSON.stringify(payload)
+            body: JSON.stringify({ model: selectedModel, messages }),
+            signal
         });
 
         if (!response.ok) {
-            throw new Error(`LLM API error: ${response.status} ${response.statusText}`);
+            return this.parseAIPipeError(response);
         }
 
-        const data = await response.json();
-        const message = data.choices[0].message;
+        const body = await response.json();
+        const output = body.choices && body.choices[0] && body.choices[0].message
+            ? body.choices[0].message.content
+            : '';
 
-        // Add assistant message to conversation
-        this.conversation.push({
-            role: 'assistant',
-            content: message.content,
-            tool_calls: message.tool_calls
-        });
+        return {
+            output,
+            model: body.model || selectedModel,
+            // Each endpoint is named after the provider it proxies, whose prices apply
+            provider: selectedEndpoint,
+            endpoint: selectedEndpoint,
+            usage: body.usage
+                ? { promptTokens: body.usage.prompt_tokens || 0, completionTokens: body.usage.completion_tokens || 0 }
+                : null,
+            credits: await this.fetchAIPipeUsage(signal)
+        };
+    }
 
-        this.hideLoadingIndicator();
-        return message;
+    async parseAIPipeError(response) {
+        let message = response.statusText;
+        try {
+            const body = await response.json();
+            message = (body.error && (body.error.message || body.error)) || body.message || message;
+            if (typeof message !== 'string') message = JSON.stringify(message);
+        } catch (error) {
+            // Keep the status text
+        }
+
+        if (response.status === 401 || response.status === 403) {
+            return {
+                error: 'auth_expired',
+                status: response.status,
+                message: `AI Pipe token is invalid or expired (${message}). Ask the user to log in to AI Pipe again.`
+            };
+        }
+        if (response.status === 402 || response.status === 429 || /limit|quota|budget|credit/i.test(message)) {
+            return {
+                error: 'quota_exceeded',
+                status: response.status,
+                message: `AI Pipe usage limit reached: ${message}`
+            };
+        }
+        return { error: 'api_error', status: response.status, message: `AI Pipe error: ${message}` };
     }
 
-    async handleToolCall(toolCall) {
-        const { name, arguments: args } = toolCall.function;
-        
-        this.showToolCall(toolCall);
-        
+    // Credit information is informational only, so failures here are swallowed
+    async fetchAIPipeUsage(signal) {
         try {
-            let result;
-            
-            switch (name) {
-                case 'search_web':
-                    result = await this.searchWeb(JSON.parse(args));
-                    break;
-                case 'ai_pipe':
-                    result = await this.aiPipe(JSON.parse(args));
-                    break;
-                case 'execute_js':
-                    result = await this.executeJS(JSON.parse(args));
-                    break;
-                default:
-                    throw new Error(`Unknown tool: ${name}`);
-            }
-
-            this.showToolResult(toolCall.id, result, false);
-            
-            // Add tool result to conversation
-            this.conversation.push({
-                role: 'tool',
-                tool_call_id: toolCall.id,
-                content: typeof result === 'string' ? result : JSON.stringify(result)
+            const response = await fetch(`${this.aiPipeConfig.baseUrl}/usage`, {
+                headers: { 'Authorization': `Bearer ${this.aiPipeConfig.token}` },
+                signal
             });
-
+            if (!response.ok) return null;
+            const usage = await response.json();
+            return { cost: usage.cost, limit: usage.limit, days: usage.days };
         } catch (error) {
-            const errorMsg = `Tool execution failed: ${error.message}`;
-            this.showToolResult(toolCall.id, errorMsg, true);
-            
-            this.conversation.push({
-                role: 'tool',
-                tool_call_id: toolCall.id,
-                content: errorMsg
-            });
+            return null;
+        }
+    }
+
+    renderAIPipeResult(result, element) {
+        if (result.error) {
+            element.textContent = result.message || result.error;
+            return;
+        }
+
+        const output = document.createElement('div');
+        output.textContent = result.output;
+        element.appendChild(output);
+
+        const details = [`${result.endpoint} · ${result.model}`];
+        if (result.usage) {
+            details.push(`${result.usage.promptTokens} prompt + ${result.usage.completionTokens} completion tokens`);
+        }
+        if (result.credits && typeof result.credits.cost === 'number') {
+            const period = result.credits.days ? ` in the last ${result.credits.days} days` : '';
+            const limit = typeof result.credits.limit === 'number' ? ` of $${result.credits.limit.toFixed(2)}` : '';
+            details.push(`$${result.credits.cost.toFixed(4)}${limit} used${period}`);
+        }
+
+        const footer = document.createElement('div');
+        footer.className = 'tool-call__usage';
+        footer.textContent = details.join(' · ');
+        element.appendChild(footer);
+    }
+
+    // aipipe.org/login redirects back with ?aipipe_token=...&aipipe_email=...
+    loginToAIPipe() {
+        const redirect = window.location.href.split('?')[0];
+        window.location.href = `${this.aiPipeConfig.baseUrl}/login?redirect=${encodeURIComponent(redirect)}`;
+    }
+
+    consumeAIPipeLogin() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('aipipe_token');
+        if (!token) return false;
+
+        this.aiPipeConfig.token = token;
+        this.aiPipeConfig.email = params.get('aipipe_email') || '';
+
+        params.delete('aipipe_token');
+        params.delete('aipipe_email');
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+        return true;
+    }
+
+    async executeJS({ code }, signal) {
+        const result = await this.getJSWorkspace().run(code, this.jsConfig.timeoutMs, signal);
+
+        if (!result.stdout && !result.stderr && result.returnValue === undefined && !result.error && !result.displays) {
+            result.stdout = 'Code executed successfully (no output)';
+        }
+        return result;
+    }
+
+    // Workspaces are kept per chat while the page is open
+    getJSWorkspace() {
+        const id = this.currentSession.id;
+        if (!this.jsWorkspaces.has(id)) {
+            this.jsWorkspaces.set(id, new JSWorkspace(this.getParsedDataFiles()));
+        }
+        return this.jsWorkspaces.get(id);
+    }
+
+    resetJSWorkspace() {
+        const workspace = this.jsWorkspaces.get(this.currentSession.id);
+        if (workspace) workspace.reset();
+        this.showAlert('JavaScript workspace reset. Attached files are still available.', 'info');
+    }
+
+    getParsedDataFiles() {
+        const files = {};
+        this.currentSession.dataFiles.forEach(file => {
+            files[file.name] = this.parseDataFile(file.name, file.text);
+        });
+        return files;
+    }
+
+    // JSON is parsed, CSV/TSV become arrays of row objects, anything else stays text
+    parseDataFile(name, text) {
+        const extension = name.split('.').pop().toLowerCase();
+        if (extension === 'json') return JSON.parse(text);
+        if (extension === 'csv') return this.parseDelimited(text, ',');
+        if (extension === 'tsv') return this.parseDelimited(text, '\t');
+        return text;
+    }
+
+    parseDelimited(text, delimiter) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+
+        const [header = [], ...records] = rows.filter(cells => cells.some(cell => cell !== ''));
+        const convert = (value) => (value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value);
+        return records.map(cells => Object.fromEntries(header.map((column, i) => [column, convert(cells[i] || '')])));
+    }
+
+    async addDataFiles(fileList) {
+        const files = this.currentSession.dataFiles;
+        for (const file of fileList) {
+            const text = await file.text();
+            let value;
+            try {
+                value = this.parseDataFile(file.name, text);
+            } catch (error) {
+                this.showAlert(`Could not read ${file.name}: ${error.message}`, 'danger');
+                continue;
+            }
+            const existing = files.findIndex(item => item.name === file.name);
+            const entry = { name: file.name, size: file.size, text, summary: this.summarizeDataFile(file.name, value) };
+            if (existing === -1) {
+                files.push(entry);
+            } else {
+                files[existing] = entry;
+            }
+        }
+        this.syncDataFiles();
+    }
+
+    removeDataFile(name) {
+        this.currentSession.dataFiles = this.currentSession.dataFiles.filter(file => file.name !== name);
+        this.syncDataFiles();
+    }
+
+    syncDataFiles() {
+        const workspace = this.jsWorkspaces.get(this.currentSession.id);
+        if (workspace) workspace.setFiles(this.getParsedDataFiles());
+        this.renderWorkspaceMenu();
+        this.updateContextStatus();
+        this.persistSession();
+    }
+
+    // Adds the attached data files to the context
+    contextNotes() {
+        const note = this.describeDataFiles();
+        return note ? [note] : [];
+    }
+
+    // Tells the model which files execute_js can read
+    describeDataFiles() {
+        const files = this.currentSession.dataFiles;
+        const tool = this.getTool('execute_js');
+        if (files.length === 0 || !tool || !tool.enabled) return '';
+
+        const lines = files.map(file => file.summary);
+        return `The user attached data files. In execute_js they are available as parsed values:\n${lines.join('\n')}`;
+    }
+
+    // One line of describeDataFiles, worked out when the file is attached
+    summarizeDataFile(name, value) {
+        if (Array.isArray(value)) {
+            const columns = value.length > 0 && value[0] && typeof value[0] === 'object' ? Object.keys(value[0]) : [];
+            return `- files[${JSON.stringify(name)}]: array of ${value.length} rows${columns.length ? `, columns: ${columns.join(', ')}` : ''}`;
+        }
+        if (typeof value === 'string') {
+            return `- files[${JSON.stringify(name)}]: text, ${value.length} characters`;
+        }
+        return `- files[${JSON.stringify(name)}]: JSON ${value === null ? 'null' : typeof value}`;
+    }
+
+    renderWorkspaceMenu() {
+        const menu = this.elements.workspaceMenu;
+        menu.innerHTML = '';
+        const files = this.currentSession ? this.currentSession.dataFiles : [];
+
+        if (files.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'dropdown-item-text text-muted';
+            empty.textContent = 'No data files attached';
+            menu.appendChild(empty);
         }
-    }
+        files.forEach(file => {
+            const item = document.createElement('li');
+            item.className = 'dropdown-item-text workspace-file';
+            item.innerHTML = `
+                <span class="workspace-file__name"></span>
+                <small class="text-muted"></small>
+                <button type="button" class="session-item__action" title="Remove"><i class="bi bi-x-lg"></i></button>
+            `;
+            item.querySelector('.workspace-file__name').textContent = file.name;
+            item.querySelector('small').textContent = file.size >= 1024 ? `${(file.size / 1024).toFixed(1)} KB` : `${file.size} B`;
+            item.querySelector('button').addEventListener('click', () => this.removeDataFile(file.name));
+            menu.appendChild(item);
+        });
 
-    async searchWeb({ query }) {
-        // Simulate web search (in production, use actual Google Custom Search API)
-        await this.delay(1000);
-        
-        return `Search results for "${query}":
+        menu.insertAdjacentHTML('beforeend', `
+            <li><hr class="dropdown-divider"></li>
+            <li><a class="dropdown-item" href="#" data-action="add-file"><i class="bi bi-paperclip me-1"></i>Attach data file…</a></li>
+            <li><a class="dropdown-item" href="#" data-action="reset"><i class="bi bi-arrow-counterclockwise me-1"></i>Reset JS workspace</a></li>
+        `);
+    }
 
-1. **${query} - Official Website**
-   Comprehensive information about ${query}, including history, services, and current developments.
-   
-2. **${query} News - Latest Updates** 
-   Recent news and announcements related to ${query} from various sources.
-   
-3. **${query} Wikipedia**
-   Detailed encyclopedia entry covering background, operations, and notable facts about ${query}.
+    renderJSResult(result, element) {
+        if (typeof result !== 'object' || result === null) {
+            element.textContent = String(result);
+            return;
+        }
+        element.classList.add('tool-call__result--js');
 
-*Note: This is a simulated search result. In production, integrate with Google Custom Search API.*`;
+        const addBlock = (text, className) => {
+            const pre = document.createElement('pre');
+            pre.className = className;
+            pre.textContent = text;
+            element.appendChild(pre);
+        };
+        if (result.stdout) addBlock(result.stdout.trimEnd(), 'js-result__stdout');
+        if (result.stderr) addBlock(result.stderr.trimEnd(), 'js-result__stderr');
+        if (result.returnValue !== undefined) addBlock(`→ ${result.returnValue}`, 'js-result__return');
+        (result.displays || []).forEach(display => {
+            if (display.type === 'table') {
+                this.renderDataTable(display, element);
+            } else if (display.type === 'chart') {
+                this.renderChart(display, element);
+            }
+        });
+        if (result.duration !== undefined) {
+            const footer = document.createElement('div');
+            footer.className = 'tool-call__usage';
+            footer.textContent = `Ran in ${result.duration} ms`;
+            element.appendChild(footer);
+        }
     }
 
-    async aiPipe({ workflow, data = '' }) {
-        // Simulate AI Pipe workflow (in production, use actual aipipe.org API)
-        await this.delay(1500);
-        
-        return `AI Pipe Workflow: "${workflow}"
-Input Data: ${data || 'None provided'}
+    renderDataTable({ columns, rows, totalRows }, element) {
+        const shown = rows.slice(0, 200);
+        const keys = columns || (shown[0] && Array.isArray(shown[0]) ? shown[0].map((_, i) => i) : ['value']);
+        const wrapper = document.createElement('div');
+        wrapper.className = 'js-result__table';
+        const table = document.createElement('table');
+        table.className = 'table table-sm';
 
-Processed Result: This is a simulated AI workflow result. The system would normally process the request through various AI models and return structured data based on the workflow description.
+        const headRow = table.createTHead().insertRow();
+        keys.forEach(key => {
+            const th = document.createElement('th');
+            th.textContent = key;
+            headRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        shown.forEach(row => {
+            const tr = body.insertRow();
+            keys.forEach(key => {
+                const value = row !== null && typeof row === 'object' ? row[key] : row;
+                tr.insertCell().textContent = value === undefined || value === null
+                    ? ''
+                    : (typeof value === 'object' ? JSON.stringify(value) : String(value));
+            });
+        });
+        wrapper.appendChild(table);
 
-*Note: This is a simulated result. In production, integrate with aipipe.org proxy API.*`;
+        const total = totalRows || rows.length;
+        if (total > shown.length) {
+            const more = document.createElement('small');
+            more.className = 'text-muted';
+            more.textContent = `Showing ${shown.length} of ${total} rows`;
+            wrapper.appendChild(more);
+        }
+        element.appendChild(wrapper);
     }
 
-    async executeJS({ code }) {
-        const outputElement = document.createElement('div');
-        outputElement.className = 'code-output';
-        
-        // Capture console output
-        const originalLog = console.log;
-        let consoleOutput = '';
-        
-        console.log = (...args) => {
-            consoleOutput += args.map(arg => 
-                typeof arg === 'object' ? JSON.stringify(arg, null, 2) : String(arg)
-            ).join(' ') + '\n';
-            originalLog.apply(console, args);
-        };
+    // Charts use Chart.js; the spec comes from sandboxed code and holds only plain data
+    renderChart({ chartType, title, labels, datasets }, element) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'js-result__chart';
+        element.appendChild(wrapper);
 
-        try {
-            // Execute the code
-            const result = eval(code);
-            
-            // Restore console.log
-            console.log = originalLog;
-            
-            let output = '';
-            if (consoleOutput) {
-                output += `Console Output:\n${consoleOutput}`;
-            }
-            if (result !== undefined) {
-                output += `${output ? '\n\n' : ''}Return Value:\n${typeof result === 'object' ? JSON.stringify(result, null, 2) : result}`;
-            }
-            
-            return output || 'Code executed successfully (no output)';
-            
-        } catch (error) {
-            console.log = originalLog;
-            throw new Error(`JavaScript execution error: ${error.message}`);
+        if (typeof Chart === 'undefined') {
+            wrapper.textContent = 'Chart.js is not loaded; chart data: ' + JSON.stringify({ labels, datasets });
+            return;
         }
+        const canvas = document.createElement('canvas');
+        wrapper.appendChild(canvas);
+        new Chart(canvas, {
+            type: ['bar', 'line', 'pie', 'doughnut', 'scatter'].includes(chartType) ? chartType : 'bar',
+            data: {
+                labels,
+                datasets: datasets.map(dataset => ({ label: dataset.label, data: dataset.data }))
+            },
+            options: {
+                responsive: true,
+                animation: false,
+                plugins: { title: { display: Boolean(title), text: title } }
+            }
+        });
     }
 
-    addMessage(role, content) {
+    // index ties the bubble to its message in this.conversation; status notes have none
+    addMessage(role, content, index = null) {
         const messageDiv = document.createElement('div');
         messageDiv.className = `message message--${role}`;
         
@@ -417,44 +2570,167 @@ Processed Result: This is a simulated AI workflow result. The system would norma
                 <div class="message__avatar">${avatar}</div>
                 <span>${roleName}</span>
                 <small>${new Date().toLocaleTimeString()}</small>
+                <div class="message__actions"></div>
             </div>
-            <div class="message__content">
-                ${this.formatMessageContent(content)}
-            </div>
+            <div class="message__content"></div>
         `;
+        const contentElement = messageDiv.querySelector('.message__content');
+        if (Array.isArray(content)) {
+            this.renderContentParts(contentElement, content, role);
+        } else {
+            this.renderMessageContent(contentElement, content, role);
+        }
+
+        if (index !== null) {
+            messageDiv.dataset.index = index;
+            if (role === 'user') {
+                const editBtn = this.createMessageAction('bi-pencil', 'Edit and re-run from here');
+                editBtn.addEventListener('click', () => this.startEditingMessage(messageDiv, index));
+                messageDiv.querySelector('.message__actions').appendChild(editBtn);
+            }
+        }
         
         this.elements.messagesContainer.appendChild(messageDiv);
         this.scrollToBottom();
+        return messageDiv;
     }
 
-    showToolCall(toolCall) {
+    // Typed text as Markdown, followed by image thumbnails and collapsible file previews
+    renderContentParts(element, parts, role) {
+        this.renderMessageContent(element, this.getTypedText(parts), role);
+
+        const attachments = document.createElement('div');
+        attachments.className = 'message__attachments';
+        parts.forEach(part => {
+            if (part.type === 'image_url') {
+                const image = document.createElement('img');
+                image.className = 'message__image';
+                image.alt = 'Attached image';
+                this.getImageData(part.image_url.url).then(url => {
+                    if (url) {
+                        image.src = url;
+                    } else {
+                        image.alt = 'Attached image (no longer available)';
+                    }
+                });
+                attachments.appendChild(image);
+                return;
+            }
+            const file = this.parseAttachedFile(part.text);
+            if (!file) return;
+
+            const details = document.createElement('details');
+            details.className = 'message__file';
+            const summary = document.createElement('summary');
+            summary.innerHTML = '<i class="bi bi-file-earmark-text me-1"></i>';
+            summary.appendChild(document.createTextNode(file.name));
+            const preview = document.createElement('pre');
+            preview.textContent = file.text;
+            details.append(summary, preview);
+            attachments.appendChild(details);
+        });
+        if (attachments.children.length > 0) {
+            element.appendChild(attachments);
+        }
+    }
+
+    createMessageAction(icon, title) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'message__action';
+        button.title = title;
+        button.innerHTML = `<i class="bi ${icon}"></i>`;
+        return button;
+    }
+
+    startEditingMessage(messageDiv, index) {
+        if (this.isProcessing) {
+            this.showAlert('Please wait for the agent to finish before editing', 'warning');
+            return;
+        }
+        if (messageDiv.querySelector('.message__editor')) return;
+
+        const content = messageDiv.querySelector('.message__content');
+        const editor = document.createElement('div');
+        editor.className = 'message__editor';
+        editor.innerHTML = `
+            <textarea class="form-control" rows="3"></textarea>
+            <div class="message__editor-actions">
+                <button type="button" class="btn btn--secondary btn--sm" data-action="cancel">Cancel</button>
+                <button type="button" class="btn btn--primary btn--sm" data-action="save">Save &amp; Run</button>
+            </div>
+        `;
+        const textarea = editor.querySelector('textarea');
+        const original = this.conversation[index].content;
+        textarea.value = this.getTypedText(original);
+        content.classList.add('hidden');
+        messageDiv.appendChild(editor);
+        textarea.focus();
+
+        editor.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+            editor.remove();
+            content.classList.remove('hidden');
+        });
+        editor.querySelector('[data-action="save"]').addEventListener('click', () => {
+            const text = textarea.value.trim();
+            const edited = this.withTypedText(original, text);
+            if (edited.length === 0) return;
+            this.editMessage(index, edited);
+        });
+    }
+
+    // Regenerate is offered on the latest answer, or on the last user message if the turn
+    // produced no answer
+    updateRegenerateAction() {
+        const container = this.elements.messagesContainer;
+        container.querySelectorAll('.message__action--regenerate').forEach(button => button.remove());
+
+        const userIndex = this.conversation.map(message => message.role).lastIndexOf('user');
+        if (userIndex === -1) return;
+        const answers = Array.from(container.querySelectorAll('.message--agent[data-index]'))
+            .filter(element => Number(element.dataset.index) > userIndex);
+        const target = answers.pop() || container.querySelector(`.message--user[data-index="${userIndex}"]`);
+        if (!target) return;
+
+        const button = this.createMessageAction('bi-arrow-repeat', 'Regenerate response');
+        button.classList.add('message__action--regenerate');
+        button.addEventListener('click', () => this.regenerateResponse());
+        target.querySelector('.message__actions').appendChild(button);
+    }
+
+    updateMessage(messageDiv, content) {
+        this.renderMessageContent(messageDiv.querySelector('.message__content'), content, 'agent');
+        this.scrollToBottom();
+    }
+
+    showToolCall(toolCall, statusText = 'Executing tool...') {
         const toolDiv = document.createElement('div');
         toolDiv.className = 'tool-call';
         toolDiv.id = `tool-${toolCall.id}`;
+        toolDiv.dataset.toolName = toolCall.function.name;
+        toolDiv.dataset.index = this.conversation.findIndex(message =>
+            (message.tool_calls || []).some(call => call.id === toolCall.id));
         
         const toolName = toolCall.function.name;
-        const toolArgs = JSON.parse(toolCall.function.arguments);
-        
-        let icon;
-        switch (toolName) {
-            case 'search_web': icon = '🔍'; break;
-            case 'ai_pipe': icon = '🤖'; break;
-            case 'execute_js': icon = '⚡'; break;
-            default: icon = '🔧';
+        const tool = this.getTool(toolName);
+        const icon = tool ? tool.icon : '🔧';
+
+        let toolArgs;
+        try {
+            toolArgs = JSON.parse(toolCall.function.arguments || '{}');
+        } catch (error) {
+            toolArgs = { arguments: toolCall.function.arguments };
         }
         
         toolDiv.innerHTML = `
             <div class="tool-call__header">
-                <span class="tool-call__icon">${icon}</span>
-                <span class="tool-call__name">${toolName}</span>
-            </div>
-            <div class="tool-call__params">
-                ${Object.entries(toolArgs).map(([key, value]) => 
-                    `<strong>${key}:</strong> ${typeof value === 'string' && value.length > 100 ? value.substring(0, 100) + '...' : value}`
-                ).join('<br>')}
+                <span class="tool-call__icon">${this.escapeHtml(icon)}</span>
+                <span class="tool-call__name">${this.escapeHtml(toolName)}</span>
+                <span class="tool-call__status"></span>
             </div>
+            <div class="tool-call__params"></div>
             <div class="loading-indicator">
-                <span>Executing tool...</span>
+                <span>${this.escapeHtml(statusText)}</span>
                 <div class="loading-dots">
                     <div class="loading-dot"></div>
                     <div class="loading-dot"></div>
@@ -463,13 +2739,47 @@ Processed Result: This is a simulated AI workflow result. The system would norma
             </div>
         `;
         
+        this.renderToolParams(toolDiv.querySelector('.tool-call__params'), toolArgs);
+        
         this.elements.messagesContainer.appendChild(toolDiv);
         this.scrollToBottom();
     }
 
+    // Tool arguments come from the model, so they are only ever inserted as text
+    renderToolParams(element, toolArgs) {
+        Object.entries(toolArgs).forEach(([key, value]) => {
+            const param = document.createElement('div');
+            param.className = 'tool-call__param';
+
+            const name = document.createElement('strong');
+            name.textContent = `${key}:`;
+            param.appendChild(name);
+
+            const text = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+            if (text.includes('\n')) {
+                const pre = document.createElement('pre');
+                const code = document.createElement('code');
+                if (key === 'code') code.className = 'language-javascript';
+                code.textContent = text;
+                pre.appendChild(code);
+                param.appendChild(pre);
+                this.decorateCodeBlock(code);
+            } else {
+                const span = document.createElement('span');
+                span.textContent = ` ${text.length > 100 ? `${text.substring(0, 100)}...` : text}`;
+                if (text.length > 100) span.title = text;
+                param.appendChild(span);
+            }
+
+            element.appendChild(param);
+        });
+    }
+
     showToolResult(toolId, result, isError = false) {
         const toolDiv = document.getElementById(`tool-${toolId}`);
         if (!toolDiv) return;
+
+        const tool = this.getTool(toolDiv.dataset.toolName);
         
         const loadingIndicator = toolDiv.querySelector('.loading-indicator');
         if (loadingIndicator) {
@@ -478,18 +2788,24 @@ Processed Result: This is a simulated AI workflow result. The system would norma
         
         const resultDiv = document.createElement('div');
         resultDiv.className = `tool-call__result ${isError ? 'tool-call__error' : ''}`;
-        resultDiv.textContent = result;
+
+        if (tool && tool.renderResult && !(isError && typeof result === 'string')) {
+            tool.renderResult(result, resultDiv);
+        } else {
+            resultDiv.textContent = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+        }
         
         toolDiv.appendChild(resultDiv);
         this.scrollToBottom();
     }
 
-    showLoadingIndicator() {
+    showLoadingIndicator(text = 'Agent is thinking...') {
+        this.hideLoadingIndicator();
         const loadingDiv = document.createElement('div');
         loadingDiv.className = 'loading-indicator';
         loadingDiv.id = 'agent-loading';
         loadingDiv.innerHTML = `
-            <span>Agent is thinking...</span>
+            <span>${this.escapeHtml(text)}</span>
             <div class="loading-dots">
                 <div class="loading-dot"></div>
                 <div class="loading-dot"></div>
@@ -508,14 +2824,107 @@ Processed Result: This is a simulated AI workflow result. The system would norma
         }
     }
 
-    formatMessageContent(content) {
-        return content.replace(/\n/g, '<br>').replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>');
+    // Renders GitHub-flavored Markdown through marked and DOMPurify. Without those
+    // libraries the content is shown as escaped plain text.
+    renderMessageContent(element, content, role) {
+        if (typeof marked !== 'undefined' && typeof DOMPurify !== 'undefined') {
+            element.innerHTML = DOMPurify.sanitize(marked.parse(content || '', { gfm: true, breaks: true }));
+        } else {
+            element.innerHTML = this.escapeHtml(content || '').replace(/\n/g, '<br>');
+        }
+
+        element.querySelectorAll('a[href]').forEach(link => {
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+        });
+        element.querySelectorAll('pre > code').forEach(code => this.decorateCodeBlock(code));
+
+        if (role === 'agent') {
+            this.linkCitations(element);
+        }
+    }
+
+    // Syntax-highlights a <pre><code> block and adds a copy button
+    decorateCodeBlock(code) {
+        const pre = code.parentElement;
+        if (typeof hljs !== 'undefined') {
+            hljs.highlightElement(code);
+        }
+
+        pre.classList.add('code-block');
+        const copyBtn = document.createElement('button');
+        copyBtn.type = 'button';
+        copyBtn.className = 'code-block__copy';
+        copyBtn.title = 'Copy code';
+        copyBtn.innerHTML = '<i class="bi bi-clipboard"></i>';
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(code.textContent);
+                copyBtn.innerHTML = '<i class="bi bi-check2"></i>';
+                setTimeout(() => {
+                    copyBtn.innerHTML = '<i class="bi bi-clipboard"></i>';
+                }, 1500);
+            } catch (error) {
+                this.showAlert(`Could not copy: ${error.message}`, 'warning');
+            }
+        });
+        pre.appendChild(copyBtn);
+    }
+
+    // Turns [n] references in text (outside links and code) into links to the matching search result
+    linkCitations(element) {
+        const citations = this.collectCitations(this.conversation);
+        if (citations.size === 0) return;
+
+        const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement.closest('a, code, pre')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT
+        });
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (/\[\d+\]/.test(walker.currentNode.nodeValue)) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+
+        textNodes.forEach(node => {
+            const fragment = document.createDocumentFragment();
+            node.nodeValue.split(/(\[\d+\])/).forEach(part => {
+                const match = part.match(/^\[(\d+)\]$/);
+                const citation = match && citations.get(Number(match[1]));
+                if (citation && /^https?:\/\//i.test(citation.url)) {
+                    const link = document.createElement('a');
+                    link.className = 'citation';
+                    link.href = citation.url;
+                    link.title = citation.title;
+                    link.target = '_blank';
+                    link.rel = 'noopener noreferrer';
+                    link.textContent = part;
+                    fragment.appendChild(link);
+                } else if (part) {
+                    fragment.appendChild(document.createTextNode(part));
+                }
+            });
+            node.replaceWith(fragment);
+        });
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     setProcessingState(processing) {
         this.isProcessing = processing;
         this.elements.sendBtn.disabled = processing;
         this.elements.messageInput.disabled = processing;
+        this.elements.sendBtn.classList.toggle('hidden', processing);
+        this.elements.stopBtn.classList.toggle('hidden', !processing);
     }
 
     scrollToBottom() {
@@ -525,8 +2934,527 @@ Processed Result: This is a simulated AI workflow result. The system would norma
         });
     }
 
+    showProfileModal() {
+        this.profileDrafts = this.profiles.map(profile => ({ ...profile, tools: { ...profile.tools } }));
+        this.fillProfileForm(this.activeProfile.id);
+
+        const modal = new bootstrap.Modal(this.elements.profileModal);
+        modal.show();
+    }
+
+    fillProfileForm(id) {
+        const profile = this.profileDrafts.find(draft => draft.id === id);
+        this.editingProfileId = profile.id;
+
+        const select = this.elements.profileEditSelect;
+        select.innerHTML = '';
+        this.profileDrafts.forEach(draft => {
+            const option = document.createElement('option');
+            option.value = draft.id;
+            option.textContent = draft.name;
+            select.appendChild(option);
+        });
+        select.value = profile.id;
+
+        this.elements.profileNameInput.value = profile.name;
+        this.elements.profilePromptInput.value = profile.systemPrompt;
+        this.elements.profileModelInput.value = profile.model;
+        this.elements.profileTemperatureInput.value = profile.temperature;
+        this.elements.profileMaxTokensInput.value = profile.maxTokens;
+
+        this.elements.profileTools.innerHTML = '';
+        this.listTools().forEach(tool => {
+            const item = document.createElement('div');
+            item.className = 'form-check form-check-inline';
+            item.innerHTML = '<input class="form-check-input" type="checkbox"><label class="form-check-label"></label>';
+            const checkbox = item.querySelector('input');
+            const label = item.querySelector('label');
+            checkbox.id = `profile-tool-${tool.name}`;
+            checkbox.dataset.tool = tool.name;
+            checkbox.checked = tool.name in profile.tools ? profile.tools[tool.name] : tool.defaultEnabled;
+            label.htmlFor = checkbox.id;
+            label.textContent = `${tool.icon} ${tool.label}`;
+            this.elements.profileTools.appendChild(item);
+        });
+    }
+
+    // Copies the form into the draft being edited; false (with an alert) if it is invalid
+    readProfileForm() {
+        const name = this.elements.profileNameInput.value.trim();
+        const temperature = Number(this.elements.profileTemperatureInput.value);
+        const maxTokens = Number(this.elements.profileMaxTokensInput.value);
+        if (!name) {
+            this.showAlert('Please enter a profile name', 'warning');
+            return false;
+        }
+        if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+            this.showAlert('Temperature must be between 0 and 2', 'warning');
+            return false;
+        }
+        if (!Number.isInteger(maxTokens) || maxTokens < 1) {
+            this.showAlert('Max tokens must be a whole number of at least 1', 'warning');
+            return false;
+        }
+
+        const profile = this.profileDrafts.find(draft => draft.id === this.editingProfileId);
+        const tools = {};
+        this.elements.profileTools.querySelectorAll('input[data-tool]').forEach(checkbox => {
+            tools[checkbox.dataset.tool] = checkbox.checked;
+        });
+        Object.assign(profile, {
+            name,
+            systemPrompt: this.elements.profilePromptInput.value,
+            model: this.elements.profileModelInput.value.trim(),
+            temperature,
+            maxTokens,
+            tools: { ...profile.tools, ...tools }
+        });
+        return true;
+    }
+
+    // Saves the edited profiles and switches to the one shown in the form
+    saveProfiles() {
+        if (!this.readProfileForm()) return;
+
+        this.profiles = this.profileDrafts;
+        this.profileDrafts = null;
+        this.switchProfile(this.editingProfileId);
+
+        const modal = bootstrap.Modal.getInstance(this.elements.profileModal);
+        modal.hide();
+        this.showAlert(`Using profile "${this.activeProfile.name}"`, 'success');
+    }
+
+    buildProfilesExport(profiles) {
+        return {
+            format: 'llm-agent-poc/profiles',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            profiles: profiles.map(({ name, systemPrompt, tools, model, temperature, maxTokens }) => ({
+                name, systemPrompt, tools, model, temperature, maxTokens
+            }))
+        };
+    }
+
+    // Adds the profiles from an export to the ones being edited (saved with the form)
+    async importProfiles(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showAlert(`Import failed: ${file.name} is not valid JSON`, 'danger');
+            return;
+        }
+
+        if (!data || data.format !== 'llm-agent-poc/profiles' || !Array.isArray(data.profiles)) {
+            this.showAlert('Import failed: not an LLM Agent profiles export', 'danger');
+            return;
+        }
+        const invalid = data.profiles.findIndex(profile => !profile
+            || typeof profile.name !== 'string'
+            || typeof profile.systemPrompt !== 'string'
+            || (profile.tools !== undefined && (typeof profile.tools !== 'object' || Array.isArray(profile.tools))));
+        if (invalid !== -1) {
+            this.showAlert(`Import failed: profile ${invalid + 1} needs a name, a systemPrompt and a tools object`, 'danger');
+            return;
+        }
+        if (!this.readProfileForm()) return;
+
+        const imported = data.profiles.map(({ name, systemPrompt, tools, model, temperature, maxTokens }) => {
+            const profile = this.createProfile(name, { systemPrompt, tools: { ...tools } });
+            if (typeof model === 'string') profile.model = model;
+            if (Number.isFinite(temperature)) profile.temperature = temperature;
+            if (Number.isInteger(maxTokens) && maxTokens > 0) profile.maxTokens = maxTokens;
+            return profile;
+        });
+        this.profileDrafts.push(...imported);
+        this.fillProfileForm(imported.length > 0 ? imported[0].id : this.editingProfileId);
+        this.showAlert(`Imported ${imported.length} profile${imported.length === 1 ? '' : 's'}. Save to keep them.`, 'success');
+    }
+
+    async exportConversation(format) {
+        if (this.conversation.length === 0) {
+            this.showAlert('Nothing to export yet', 'warning');
+            return;
+        }
+
+        const session = this.currentSession;
+        const baseName = (session.title || 'conversation').replace(/[^\w\- ]+/g, '').trim().replace(/\s+/g, '-').toLowerCase() || 'conversation';
+        const exporters = {
+            // Stored images are included as data: URLs (see withImageData)
+            json: async () => [
+                JSON.stringify(await this.buildConversationExport(this.getActiveLLMConfig() || this.pendingLLMConfig), null, 2),
+                'application/json',
+                'json'
+            ],
+            markdown: async () => [this.conversationToMarkdown(), 'text/markdown', 'md'],
+            jsonl: async () => [await this.conversationToFineTuningJSONL(), 'application/jsonl', 'jsonl']
+        };
+        if (!exporters[format]) {
+            throw new Error(`Unknown export format: ${format}`);
+        }
+
+        const [content, type, extension] = await exporters[format]();
+        this.downloadFile(`${baseName}.${extension}`, content, type);
+    }
+
+    conversationToMarkdown() {
+        const lines = [`# ${this.currentSession.title || 'Conversation'}`, ''];
+        const fence = (text, language = '') => {
+            const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map(run => run.length));
+            const marks = '`'.repeat(longest + 1);
+            return `${marks}${language}\n${text}\n${marks}`;
+        };
+        const timings = this.currentSession.timings.tools;
+
+        this.conversation.forEach(message => {
+            if (message.role === 'system') {
+                lines.push('## System', '', message.content, '');
+            } else if (message.role === 'user') {
+                lines.push('## You', '', this.getMessageText(message.content), '');
+            } else if (message.role === 'assistant') {
+                if (message.content) {
+                    lines.push('## Agent', '', message.content, '');
+                }
+                (message.tool_calls || []).forEach(toolCall => {
+                    let args = toolCall.function.arguments;
+                    try {
+                        args = JSON.stringify(JSON.parse(args), null, 2);
+                    } catch (error) {
+                        // Keep the raw arguments
+                    }
+                    lines.push(`### 🔧 Tool call: \`${toolCall.function.name}\``, '', fence(args, 'json'), '');
+                });
+            } else if (message.role === 'tool') {
+                const duration = timings[message.tool_call_id];
+                const { result } = this.parseToolContent(message.content);
+                const text = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+                lines.push(`#### Result${duration !== undefined ? ` (${duration} ms)` : ''}`, '', fence(text), '');
+            }
+        });
+
+        return lines.join('\n');
+    }
+
+    // One line in OpenAI's chat fine-tuning format: { messages, tools }
+    async conversationToFineTuningJSONL() {
+        const messages = (await this.withImageData(this.conversation)).map(message => {
+            if (message.role === 'assistant') {
+                const entry = { role: 'assistant', content: message.content || null };
+                if (message.tool_calls && message.tool_calls.length > 0) {
+                    entry.tool_calls = message.tool_calls.map(toolCall => ({
+                        id: toolCall.id,
+                        type: 'function',
+                        function: { name: toolCall.function.name, arguments: toolCall.function.arguments }
+                    }));
+                }
+                return entry;
+            }
+            if (message.role === 'tool') {
+                return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
+            }
+            return { role: message.role, content: message.content };
+        });
+
+        const systemPrompt = this.activeProfile.systemPrompt.trim();
+        if (systemPrompt) {
+            messages.unshift({ role: 'system', content: systemPrompt });
+        }
+
+        const line = { messages };
+        if (this.tools.length > 0) {
+            line.tools = this.tools;
+        }
+        return `${JSON.stringify(line)}\n`;
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Imports a JSON export as a new session and opens it so the run can be resumed
+    async importConversation(file) {
+        if (this.isProcessing) {
+            this.showAlert('Please wait for the agent to finish before importing', 'warning');
+            return;
+        }
+
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showAlert(`Import failed: ${file.name} is not valid JSON`, 'danger');
+            return;
+        }
+
+        const errors = this.validateConversationImport(data);
+        if (errors.length > 0) {
+            this.showAlert(`Import failed: ${errors.join('; ')}`, 'danger');
+            return;
+        }
+
+        const session = this.sessionFromExport(data);
+        session.title = session.title || file.name.replace(/\.json$/i, '');
+        try {
+            for (const branch of session.branches) {
+                await this.storeInlineImages(branch.messages, session.id);
+            }
+        } catch (error) {
+            this.store.deleteAttachments(session.id).catch(() => {});
+            this.showAlert(`Import failed: could not store an image (${error.message})`, 'danger');
+            return;
+        }
+
+        if (!this.llmConfig && data.model) {
+            this.pendingLLMConfig = { ...data.model };
+        }
+
+        this.sessions.unshift(session);
+        this.switchSession(session.id);
+        try {
+            await this.store.saveSession(session);
+        } catch (error) {
+            this.showAlert(`Could not save imported chat: ${error.message}`, 'warning');
+        }
+        this.showAlert(`Imported "${session.title}"`, 'success');
+    }
+
+    toggleTracePanel(open = this.elements.tracePanel.classList.contains('hidden')) {
+        this.elements.tracePanel.classList.toggle('hidden', !open);
+        this.elements.traceBtn.setAttribute('aria-expanded', String(open));
+        this.renderTracePanel();
+    }
+
+    // Recorded turns of this chat (oldest first), then imported and replayed traces
+    getTraceOptions() {
+        const label = (trace) => {
+            const users = this.getTraceMessages(trace).filter(message => message.role === 'user');
+            const text = users.length > 0 ? this.getMessageText(users[users.length - 1].content).replace(/\s+/g, ' ').trim() : '';
+            const time = new Date(trace.startedAt).toLocaleTimeString();
+            return `${time} · ${text.length > 40 ? `${text.substring(0, 40)}...` : text}`;
+        };
+        return [
+            ...(this.currentSession.traces || []).map(trace => ({ trace, label: label(trace) })),
+            ...this.extraTraces.map(({ trace, prefix }) => ({ trace, label: `${prefix}: ${label(trace)}` }))
+        ];
+    }
+
+    // The conversation before a trace's turn: its own copy in imported and replayed traces,
+    // otherwise the start of the branch it was recorded on
+    getTraceMessages(trace) {
+        if (trace.messages) return trace.messages;
+        const branch = this.currentSession.branches.find(item => item.id === trace.branchId);
+        return (branch ? branch.messages : this.conversation).slice(0, trace.messageIndex);
+    }
+
+    getSelectedTrace() {
+        const options = this.getTraceOptions();
+        const selected = options.find(option => option.trace.id === this.selectedTraceId);
+        if (selected) return selected.trace;
+        const recorded = this.currentSession.traces || [];
+        return recorded.length > 0 ? recorded[recorded.length - 1] : null;
+    }
+
+    renderTracePanel() {
+        if (this.elements.tracePanel.classList.contains('hidden')) return;
+
+        const trace = this.getSelectedTrace();
+        const select = this.elements.traceSelect;
+        select.innerHTML = '';
+        this.getTraceOptions().forEach(({ trace: option, label }) => {
+            select.appendChild(new Option(label, option.id, false, trace && option.id === trace.id));
+        });
+        if (!trace) {
+            select.appendChild(new Option('No turns recorded yet', '', true, true));
+        }
+        select.disabled = !trace;
+        this.elements.traceReplayBtn.disabled = !trace || !trace.reason || this.isProcessing;
+        this.elements.traceExportBtn.disabled = !trace;
+
+        const summary = this.elements.traceSummary;
+        const waterfall = this.elements.traceWaterfall;
+        waterfall.innerHTML = '';
+        if (!trace) {
+            summary.textContent = 'Each turn of this chat is recorded here: LLM calls and their answers, tool calls, errors, timings and tokens.';
+            return;
+        }
+
+        const llmSpans = trace.spans.filter(span => span.type === 'llm');
+        const tokens = llmSpans.reduce((sum, span) => sum + (span.usage ? span.usage.promptTokens + span.usage.completionTokens : 0), 0);
+        const total = trace.durationMs !== null
+            ? trace.durationMs
+            : Math.max(1, ...trace.spans.map(span => span.start + (span.durationMs || 0)));
+        summary.textContent = [
+            `${trace.config.provider || '?'} - ${trace.config.model || '?'}`,
+            `${(total / 1000).toFixed(1)}s`,
+            `${llmSpans.length} LLM ${llmSpans.length === 1 ? 'call' : 'calls'}`,
+            `${trace.spans.length - llmSpans.length} tool ${trace.spans.length - llmSpans.length === 1 ? 'call' : 'calls'}`,
+            `${tokens} tokens`,
+            trace.reason || 'running...',
+            trace.error ? `Error: ${trace.error.message}` : ''
+        ].filter(Boolean).join(' · ');
+
+        trace.spans.forEach(span => waterfall.appendChild(this.renderTraceSpan(trace, span, total)));
+        trace.notices.forEach(notice => {
+            const item = document.createElement('div');
+            item.className = 'trace-waterfall__notice';
+            item.textContent = `${(notice.at / 1000).toFixed(1)}s · ${notice.text}`;
+            waterfall.appendChild(item);
+        });
+    }
+
+    // One waterfall row; its payloads are rendered when it is first opened
+    renderTraceSpan(trace, span, total) {
+        const row = document.createElement('details');
+        const failed = span.type === 'llm' ? Boolean(span.error) : span.isError;
+        row.className = `trace-span trace-span--${span.type}${failed ? ' trace-span--error' : ''}`;
+
+        const summary = document.createElement('summary');
+        const label = document.createElement('span');
+        label.className = 'trace-span__label';
+        const tool = span.type === 'tool' && this.getTool(span.name);
+        label.textContent = span.type === 'llm' ? `🤖 ${span.model}` : `${tool ? tool.icon : '🔧'} ${span.name}`;
+
+        const track = document.createElement('span');
+        track.className = 'trace-span__track';
+        const percent = (ms) => `${Math.min(100, (ms / total) * 100)}%`;
+        if (span.type === 'tool' && span.start > span.queuedAt) {
+            // Queued behind other calls or waiting for approval
+            const wait = document.createElement('span');
+            wait.className = 'trace-span__wait';
+            wait.style.left = percent(span.queuedAt);
+            wait.style.width = percent(span.start - span.queuedAt);
+            track.appendChild(wait);
+        }
+        const bar = document.createElement('span');
+        bar.className = 'trace-span__bar';
+        bar.style.left = percent(span.start);
+        bar.style.width = percent(span.durationMs || 0);
+        track.appendChild(bar);
+
+        const time = document.createElement('span');
+        time.className = 'trace-span__time';
+        const details = [span.durationMs === null ? 'running' : `${(span.durationMs / 1000).toFixed(2)}s`];
+        if (span.usage) details.push(`${span.usage.promptTokens}+${span.usage.completionTokens} tok`);
+        if (span.cost) details.push(this.formatCost(span.cost));
+        time.textContent = details.join(' · ');
+
+        summary.append(label, track, time);
+        row.appendChild(summary);
+
+        row.addEventListener('toggle', () => {
+            if (!row.open || row.querySelector('.trace-span__body')) return;
+            const body = document.createElement('div');
+            body.className = 'trace-span__body';
+            // Request and response bodies are only there when the recorder kept them
+            const output = trace.output[span.outputIndex];
+            const sections = span.type === 'llm'
+                ? [['Request', span.request], ['Response', span.response || output || span.message], ['Error', span.error]]
+                : [
+                    ['Raw arguments', span.rawArguments],
+                    ['Edited arguments', span.arguments !== span.rawArguments ? span.arguments : null],
+                    [span.isError ? 'Error' : 'Result', output ? output.content : null]
+                ];
+            sections.forEach(([title, value]) => {
+                if (value === null || value === undefined) return;
+                const heading = document.createElement('div');
+                heading.className = 'trace-span__heading';
+                heading.textContent = title;
+                const pre = document.createElement('pre');
+                pre.className = 'trace-span__json';
+                pre.textContent = typeof value === 'string' ? value : JSON.stringify(value, null, 2);
+                body.append(heading, pre);
+            });
+            row.appendChild(body);
+        });
+        return row;
+    }
+
+    exportTrace() {
+        const trace = this.getSelectedTrace();
+        if (!trace) return;
+        const data = {
+            format: 'llm-agent-poc/trace',
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            // Self-contained, so it can be replayed without the chat
+            trace: { ...trace, messages: this.traceRecorder.clone(this.getTraceMessages(trace)) }
+        };
+        const stamp = new Date(trace.startedAt).toISOString().replace(/[:.]/g, '-');
+        this.downloadFile(`trace-${stamp}.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    async importTrace(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            this.showAlert(`Import failed: ${file.name} is not valid JSON`, 'danger');
+            return;
+        }
+        const trace = data && data.trace;
+        if (!data || data.format !== 'llm-agent-poc/trace' || !trace || !Array.isArray(trace.spans) || !Array.isArray(trace.messages)) {
+            this.showAlert('Import failed: not an LLM Agent trace export', 'danger');
+            return;
+        }
+
+        this.extraTraces.push({ trace, prefix: 'Imported' });
+        this.selectedTraceId = trace.id;
+        this.toggleTracePanel(true);
+    }
+
+    // Replays the selected turn against its recorded responses and shows the replay's trace
+    async replaySelectedTrace() {
+        const trace = this.getSelectedTrace();
+        if (!trace || !trace.reason) return;
+
+        let result;
+        try {
+            result = await replayTrace(trace, this.getTraceMessages(trace));
+        } catch (error) {
+            this.showAlert(`Replay failed: ${error.message}`, 'danger');
+            return;
+        }
+
+        if (result.trace) {
+            this.extraTraces.push({ trace: result.trace, prefix: 'Replay' });
+            this.selectedTraceId = result.trace.id;
+            this.renderTracePanel();
+        }
+
+        const { mismatch } = result;
+        if (!mismatch) {
+            this.showAlert(`Replay matched the recording: ${result.messages.length} messages, ended "${result.reason}"`, 'success');
+        } else if (mismatch.reason) {
+            this.showAlert(`Replay ended "${mismatch.reason.actual}" instead of "${mismatch.reason.expected}"`, 'warning');
+        } else {
+            const describe = (message) => {
+                if (!message) return 'nothing';
+                const text = message.content ? this.getMessageText(message.content).replace(/\s+/g, ' ') : '';
+                const calls = (message.tool_calls || []).map(toolCall => toolCall.function.name).join(', ');
+                return `${message.role} "${text.length > 60 ? `${text.substring(0, 60)}...` : text}"${calls ? ` calling ${calls}` : ''}`;
+            };
+            this.showAlert(`Replay diverged at message ${mismatch.index + 1} of the turn: recorded ${describe(mismatch.expected)}, replay produced ${describe(mismatch.actual)}. Compare the two traces for details.`, 'warning');
+        }
+    }
+
+    // Starts a fresh chat; the previous one stays available in the sidebar
     clearConversation() {
-        this.conversation = [];
+        if (this.isProcessing) {
+            this.showAlert('Please wait for the agent to finish before starting a new chat', 'warning');
+            return;
+        }
+        this.startNewSession();
+    }
+
+    renderWelcomeMessage() {
         this.elements.messagesContainer.innerHTML = `
             <div class="welcome-message card">
                 <div class="card__body">
@@ -550,7 +3478,7 @@ Processed Result: This is a simulated AI workflow result. The system would norma
         const alertDiv = document.createElement('div');
         alertDiv.className = `alert alert-${type} alert-dismissible fade show`;
         alertDiv.innerHTML = `
-            ${message}
+            ${this.escapeHtml(message)}
             <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
         `;
         
@@ -563,10 +3491,6 @@ Processed Result: This is a simulated AI workflow result. The system would norma
             }
         }, 5000);
     }
-
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
 }
 
 // Initialize the application when DOM is loaded
@@ -0,0 +1,293 @@
+// LLM Agent POC - JavaScript sandbox
+// The execute_js workspace. Loaded before app.js in the page; in Node, require() it to
+// test the worker code.
+
+// Runs inside a Web Worker (see JSWorkspace). It must stay self-contained:
+// it is serialized with toString(), so it cannot reference anything outside itself.
+// The worker lives as long as its workspace, so state and globals persist between runs.
+function jsSandboxWorker() {
+    // The worker already has an opaque origin, so these hold nothing of the page's; they
+    // are removed so code cannot create storage or load scripts either
+    ['indexedDB', 'caches', 'importScripts'].forEach(name => {
+        Object.defineProperty(self, name, { value: undefined });
+    });
+
+    const format = (value) => {
+        if (typeof value === 'string') return value;
+        if (value instanceof Error) return value.stack || `${value.name}: ${value.message}`;
+        if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+        if (typeof value === 'object' && value !== null) {
+            try {
+                return JSON.stringify(value, null, 2);
+            } catch (error) {
+                return String(value);
+            }
+        }
+        return String(value);
+    };
+
+    let stdout = '';
+    let stderr = '';
+    let displays = [];
+    const write = (stream, args) => {
+        const line = args.map(format).join(' ') + '\n';
+        if (stream === 'stdout') stdout += line;
+        else stderr += line;
+    };
+
+    console.log = (...args) => write('stdout', args);
+    console.info = (...args) => write('stdout', args);
+    console.debug = (...args) => write('stdout', args);
+    console.warn = (...args) => write('stderr', ['[warn]', ...args]);
+    console.error = (...args) => write('stderr', ['[error]', ...args]);
+
+    self.addEventListener('error', (event) => {
+        write('stderr', ['[uncaught]', event.error || event.message]);
+        event.preventDefault();
+    });
+    self.addEventListener('unhandledrejection', (event) => {
+        write('stderr', ['[unhandled rejection]', event.reason]);
+        event.preventDefault();
+    });
+
+    // Rich output rendered in the tool card: display.table(rows) and display.chart(spec)
+    const toPlain = (value) => JSON.parse(JSON.stringify(value === undefined ? null : value));
+    self.display = {
+        table(rows, columns) {
+            if (!Array.isArray(rows)) {
+                throw new TypeError('display.table expects an array of rows');
+            }
+            const plain = toPlain(rows.slice(0, 1000));
+            const objects = plain.length > 0 && plain[0] !== null && typeof plain[0] === 'object' && !Array.isArray(plain[0]);
+            const keys = objects ? [...new Set(plain.slice(0, 100).flatMap(row => Object.keys(row || {})))] : null;
+            displays.push({ type: 'table', columns: columns || keys, rows: plain, totalRows: rows.length });
+        },
+        chart(spec) {
+            if (!spec || !Array.isArray(spec.datasets)) {
+                throw new TypeError('display.chart expects { type, labels, datasets: [{ label, data }] }');
+            }
+            const { type = 'bar', ...chart } = toPlain(spec);
+            displays.push({ ...chart, type: 'chart', chartType: type });
+        }
+    };
+
+    // Data files attached by the user, already parsed: { [name]: value }
+    self.files = {};
+
+    // Each run is its own function, so its declarations end with it; values meant for
+    // later runs go in state (or on globalThis)
+    self.state = {};
+
+    const AsyncFunction = Object.getPrototypeOf(async function () {}).constructor;
+
+    // Code runs as the body of an async function so top-level await and return work. The
+    // candidate bodies are compiled before anything runs, in turn: the whole snippet as one
+    // expression, the snippet with its last line returned, and the snippet as-is. Only a
+    // compile error moves on to the next one, so a snippet never runs twice.
+    const compile = (code) => {
+        const lines = code.trimEnd().split('\n');
+        const last = lines.pop().replace(/;\s*$/, '');
+        const previous = lines.length > 0 ? lines[lines.length - 1].trim() : '';
+        const bodies = [`return (${code}\n);`];
+        // Returning the last line on its own would change what the code does when it is the
+        // body of a brace-less if/for/while, or continues the statement on the line before
+        const braceless = /^(?:}\s*)?(?:if|for|while|else|do)\b/.test(previous) && !/[{};]$/.test(previous);
+        const continues = /^[-+*/%&|^=<>,?:.([`]/.test(last.trim()) || /[-+*/%&|^=<>!,?:.([]$/.test(previous);
+        if (!braceless && !continues) {
+            bodies.push(`${lines.join('\n')}\nreturn (${last}\n);`);
+        }
+        for (const body of bodies) {
+            try {
+                return new AsyncFunction(body);
+            } catch (error) {
+                if (!(error instanceof SyntaxError)) throw error;
+            }
+        }
+        return new AsyncFunction(code);
+    };
+
+    const run = (code) => compile(code)();
+
+    self.onmessage = async ({ data }) => {
+        if (data.type === 'files') {
+            self.files = data.files;
+            return;
+        }
+
+        const { id, code } = data;
+        stdout = '';
+        stderr = '';
+        displays = [];
+        const started = performance.now();
+        let returnValue;
+        let error = null;
+
+        try {
+            const value = await run(code);
+            if (value !== undefined) returnValue = format(value);
+        } catch (err) {
+            error = err instanceof Error ? `${err.name}: ${err.message}` : format(err);
+            write('stderr', ['[error]', err]);
+        }
+
+        // Let pending rejections and queued callbacks surface before reporting
+        await new Promise(resolve => setTimeout(resolve, 0));
+
+        const result = {
+            id,
+            stdout,
+            stderr,
+            returnValue,
+            error,
+            duration: Math.round(performance.now() - started)
+        };
+        if (displays.length > 0) result.displays = displays;
+        self.postMessage(result);
+    };
+}
+
+// Runs in the sandboxed iframe of a JSWorkspace: starts the worker and relays messages
+// between it and the page. Serialized with toString() like jsSandboxWorker.
+function jsSandboxHost(workerSource) {
+    const url = URL.createObjectURL(new Blob([workerSource], { type: 'text/javascript' }));
+    const worker = new Worker(url);
+    worker.onmessage = ({ data }) => parent.postMessage(data, '*');
+    worker.onerror = (event) => {
+        event.preventDefault();
+        parent.postMessage({ type: 'error', message: event.message }, '*');
+    };
+    window.onmessage = ({ data, source }) => {
+        if (source === parent) worker.postMessage(data);
+    };
+    parent.postMessage({ type: 'ready' }, '*');
+}
+
+// A per-chat JavaScript sandbox whose state survives between execute_js calls. The worker
+// is started from an <iframe sandbox="allow-scripts">, which gives it an opaque origin: a
+// Worker created from a blob: URL on the page itself would share the page's origin and
+// could read its IndexedDB (API keys included). Timeouts and Stop remove the iframe,
+// which ends the worker and resets the state; files are sent again on restart.
+class JSWorkspace {
+    constructor(files = {}) {
+        this.files = files;
+        this.frame = null;
+        this.ready = false;
+        // Messages posted before the iframe's script is running
+        this.queue = [];
+        this.listeners = new Set();
+        this.nextId = 1;
+        this.onWindowMessage = ({ source, data }) => {
+            if (!this.frame || source !== this.frame.contentWindow) return;
+            if (data && data.type === 'ready') {
+                this.ready = true;
+                this.queue.forEach(message => this.post(message));
+                this.queue = [];
+                return;
+            }
+            this.listeners.forEach(listener => listener(data));
+        };
+    }
+
+    start() {
+        if (this.frame) return;
+        const frame = document.createElement('iframe');
+        // Without allow-same-origin the frame, and the worker it starts, get an opaque origin
+        frame.setAttribute('sandbox', 'allow-scripts');
+        frame.className = 'hidden';
+        frame.title = 'JavaScript sandbox';
+        const workerSource = JSON.stringify(`(${jsSandboxWorker.toString()})();`).replace(/</g, '\\u003c');
+        frame.srcdoc = `<!DOCTYPE html><script>(${jsSandboxHost.toString()})(${workerSource});</script>`;
+
+        this.frame = frame;
+        this.ready = false;
+        this.queue = [{ type: 'files', files: this.files }];
+        window.addEventListener('message', this.onWindowMessage);
+        document.body.appendChild(frame);
+    }
+
+    post(message) {
+        if (this.ready) {
+            this.frame.contentWindow.postMessage(message, '*');
+        } else {
+            this.queue.push(message);
+        }
+    }
+
+    setFiles(files) {
+        this.files = files;
+        if (this.frame) {
+            this.post({ type: 'files', files });
+        }
+    }
+
+    reset() {
+        if (!this.frame) return;
+        window.removeEventListener('message', this.onWindowMessage);
+        this.frame.remove();
+        this.frame = null;
+        this.ready = false;
+        this.queue = [];
+    }
+
+    run(code, timeoutMs, signal) {
+        this.start();
+        const id = this.nextId++;
+        const started = performance.now();
+
+        return new Promise((resolve, reject) => {
+            let onAbort = null;
+            const finish = () => {
+                clearTimeout(timer);
+                this.listeners.delete(onMessage);
+                if (onAbort) signal.removeEventListener('abort', onAbort);
+            };
+
+            const timer = setTimeout(() => {
+                finish();
+                this.reset();
+                reject(new Error(`JavaScript execution timed out after ${timeoutMs} ms (the workspace was reset)`));
+            }, timeoutMs);
+
+            const onMessage = (data) => {
+                if (data.type === 'error') {
+                    // The worker itself failed
+                    finish();
+                    this.reset();
+                    resolve({
+                        stdout: '',
+                        stderr: `${data.message}\n`,
+                        returnValue: undefined,
+                        error: data.message,
+                        duration: Math.round(performance.now() - started)
+                    });
+                    return;
+                }
+                if (data.id !== id) return;
+                finish();
+                const result = { ...data };
+                delete result.id;
+                resolve(result);
+            };
+            this.listeners.add(onMessage);
+
+            if (signal) {
+                onAbort = () => {
+                    finish();
+                    this.reset();
+                    reject(signal.reason);
+                };
+                if (signal.aborted) {
+                    onAbort();
+                    return;
+                }
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.post({ type: 'run', id, code });
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { jsSandboxWorker, jsSandboxHost, JSWorkspace };
+}
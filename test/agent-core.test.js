@@ -0,0 +1,387 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { AgentCore, ScriptedLLMAdapter, OpenAIAdapter, AnthropicAdapter, LLMError, replayTrace } = require('../agent-core.js');
+
+function createAgent(script) {
+    const agent = new AgentCore();
+    const llm = new ScriptedLLMAdapter(script);
+    agent.providerAdapters.scripted = llm;
+    agent.llmConfig = { provider: 'scripted', model: 'mock', apiKey: 'unused' };
+    agent.retryConfig = { maxRetries: 3, baseDelayMs: 1, maxDelayMs: 5 };
+    return { agent, llm };
+}
+
+function registerAdd(agent) {
+    agent.registerTool({
+        schema: {
+            name: 'add',
+            parameters: {
+                type: 'object',
+                properties: { a: { type: 'number' }, b: { type: 'number' } },
+                required: ['a', 'b']
+            }
+        },
+        handler: ({ a, b }) => String(a + b)
+    });
+}
+
+test('a text-only turn streams the answer and completes', async () => {
+    const { agent, llm } = createAgent(['Hello there.']);
+    let streamed = '';
+    const done = [];
+    agent.on('delta', ({ text }) => { streamed += text; });
+    agent.on('done', ({ reason }) => done.push(reason));
+
+    assert.strictEqual(await agent.send('Hi'), 'completed');
+    assert.deepStrictEqual(agent.conversation.map(m => [m.role, m.content]), [
+        ['user', 'Hi'],
+        ['assistant', 'Hello there.']
+    ]);
+    assert.strictEqual(streamed, 'Hello there.');
+    assert.deepStrictEqual(done, ['completed']);
+    assert.strictEqual(llm.requests.length, 1);
+});
+
+test('a tool-call turn runs the tool and sends its result back', async () => {
+    const { agent, llm } = createAgent([
+        { content: null, tool_calls: [{ name: 'add', arguments: { a: 2, b: 3 } }] },
+        'The sum is 5.'
+    ]);
+    registerAdd(agent);
+    const results = [];
+    agent.on('tool_result', ({ toolCall, result }) => results.push([toolCall.function.name, result]));
+
+    assert.strictEqual(await agent.send('What is 2 + 3?'), 'completed');
+    assert.deepStrictEqual(results, [['add', '5']]);
+    assert.deepStrictEqual(agent.conversation.map(m => m.role), ['user', 'assistant', 'tool', 'assistant']);
+    assert.strictEqual(agent.conversation[2].tool_call_id, agent.conversation[1].tool_calls[0].id);
+    assert.strictEqual(agent.conversation[2].content, '5');
+    assert.deepStrictEqual(llm.requests[1].messages.slice(-2).map(m => m.role), ['assistant', 'tool']);
+});
+
+test('identical repeated tool calls stop the turn', async () => {
+    const call = { tool_calls: [{ name: 'add', arguments: { a: 1, b: 1 } }] };
+    const { agent, llm } = createAgent(Array(10).fill(call));
+    registerAdd(agent);
+    agent.loopConfig = { ...agent.loopConfig, maxRepeatedCalls: 3 };
+
+    assert.strictEqual(await agent.send('Loop'), 'repeated_calls');
+    assert.strictEqual(llm.requests.length, 3);
+});
+
+test('the step limit stops the turn', async () => {
+    const script = Array.from({ length: 10 }, (_, i) => ({ tool_calls: [{ name: 'add', arguments: { a: i, b: 1 } }] }));
+    const { agent, llm } = createAgent(script);
+    registerAdd(agent);
+    agent.loopConfig = { ...agent.loopConfig, maxSteps: 2 };
+    const notices = [];
+    agent.on('notice', ({ text }) => notices.push(text));
+
+    assert.strictEqual(await agent.send('Loop'), 'max_steps');
+    assert.strictEqual(llm.requests.length, 2);
+    assert.match(notices[0], /limit of 2 steps/);
+    // Every tool call of the last step still has its result
+    assert.strictEqual(agent.conversation[agent.conversation.length - 1].role, 'tool');
+});
+
+test('the cost budget stops the turn, and so does a call of unknown cost', async () => {
+    const step = (i) => ({ tool_calls: [{ name: 'add', arguments: { a: i, b: 1 } }], usage: { promptTokens: 1000, completionTokens: 0 } });
+    const { agent, llm } = createAgent(Array.from({ length: 10 }, (_, i) => step(i)));
+    registerAdd(agent);
+    agent.costConfig.prices.push({ provider: 'scripted', model: 'mock', input: 1, output: 1 });
+    agent.loopConfig = { ...agent.loopConfig, maxCostPerTurn: 0.0025 };
+    assert.strictEqual(await agent.send('Loop'), 'cost_budget');
+    assert.strictEqual(llm.requests.length, 3);
+
+    // No usage reported: the first step's cost is unknown
+    const unreported = createAgent([{ tool_calls: [{ name: 'add', arguments: { a: 1, b: 1 } }] }, 'Unreachable.']);
+    registerAdd(unreported.agent);
+    unreported.agent.loopConfig = { ...unreported.agent.loopConfig, maxCostPerTurn: 1 };
+    const notices = [];
+    unreported.agent.on('notice', ({ text }) => notices.push(text));
+    assert.strictEqual(await unreported.agent.send('Hi'), 'cost_budget');
+    assert.strictEqual(unreported.llm.requests.length, 1);
+    assert.match(notices[0], /cannot be enforced/);
+});
+
+test('usage reported by a tool is priced and counted in the turn and chat', async () => {
+    const { agent } = createAgent([{ tool_calls: [{ name: 'delegate', arguments: {} }] }, 'Done.']);
+    agent.registerTool({
+        schema: { name: 'delegate', parameters: { type: 'object', properties: {} } },
+        handler: () => ({ output: 'ok', provider: 'openai', model: 'gpt-4o-mini', usage: { promptTokens: 1000000, completionTokens: 0 } })
+    });
+    agent.costConfig.prices = [{ provider: 'openai', model: 'gpt-4o-mini', input: 0.15, output: 0.6 }];
+
+    await agent.send('Delegate this');
+    assert.strictEqual(agent.turnUsage.promptTokens, 1000000);
+    assert.strictEqual(agent.turnUsage.cost, 0.15);
+    assert.strictEqual(agent.currentSession.usage.cost, 0.15);
+    assert.strictEqual(agent.currentSession.usage.unpricedCalls, 0);
+});
+
+test('a retryable LLMError is retried', async () => {
+    const { agent, llm } = createAgent([
+        new LLMError('Overloaded', { retryable: true, retryAfterMs: 1 }),
+        'Recovered.'
+    ]);
+    const statuses = [];
+    agent.on('status', ({ text }) => statuses.push(text));
+
+    assert.strictEqual(await agent.send('Hi'), 'completed');
+    assert.strictEqual(llm.requests.length, 2);
+    assert.strictEqual(agent.conversation[1].content, 'Recovered.');
+    assert.ok(statuses.some(text => /Overloaded Retrying/.test(text || '')));
+});
+
+test('a non-retryable LLMError ends the turn with an error', async () => {
+    const { agent, llm } = createAgent([
+        new LLMError('Invalid API key', { status: 401, retryable: false }),
+        'Unreachable.'
+    ]);
+    const errors = [];
+    agent.on('error', ({ error }) => errors.push(error.message));
+
+    assert.strictEqual(await agent.send('Hi'), 'error');
+    assert.strictEqual(llm.requests.length, 1);
+    assert.deepStrictEqual(errors, ['Invalid API key']);
+});
+
+test('fallback models are tried only after transient or model-not-found errors', async () => {
+    const { agent, llm } = createAgent([
+        new LLMError('Unknown model', { status: 404 }),
+        'From the fallback.'
+    ]);
+    agent.fallbackModels = [{ provider: 'scripted', model: 'backup' }];
+    assert.strictEqual(await agent.send('Hi'), 'completed');
+    assert.strictEqual(llm.requests.length, 2);
+
+    const auth = createAgent([
+        new LLMError('Invalid API key', { status: 401 }),
+        'Unreachable.'
+    ]);
+    auth.agent.fallbackModels = [{ provider: 'scripted', model: 'backup' }];
+    assert.strictEqual(await auth.agent.send('Hi'), 'error');
+    assert.strictEqual(auth.llm.requests.length, 1);
+});
+
+test('a malformed stream chunk is not retried', async () => {
+    const agent = new AgentCore();
+    const response = new Response('data: {"choices": [\n\n', { headers: { 'Content-Type': 'text/event-stream' } });
+    await assert.rejects(agent.readChatStream(response, new OpenAIAdapter()), (error) => {
+        assert.ok(error instanceof LLMError);
+        assert.match(error.message, /^Malformed stream chunk/);
+        assert.strictEqual(error.retryable, false);
+        return true;
+    });
+});
+
+test('step timings record the branch they belong to', async () => {
+    const { agent } = createAgent(['Hello.']);
+    agent.getBranchId = () => 'branch-2';
+    await agent.send('Hi');
+    const [step] = agent.currentSession.timings.steps;
+    assert.strictEqual(step.branchId, 'branch-2');
+    assert.strictEqual(step.messageIndex, 1);
+});
+
+test('stopAgent aborts a request in flight', async () => {
+    const { agent } = createAgent([{ content: 'Too late.', delayMs: 5000 }]);
+    const notices = [];
+    agent.on('notice', ({ text }) => notices.push(text));
+
+    const started = Date.now();
+    const pending = agent.send('Hi');
+    setTimeout(() => agent.stopAgent(), 10);
+
+    assert.strictEqual(await pending, 'aborted');
+    assert.ok(Date.now() - started < 1000);
+    assert.deepStrictEqual(notices, ['Stopped by user.']);
+    assert.deepStrictEqual(agent.conversation.map(m => m.role), ['user']);
+});
+
+test('delay stops listening for abort once it has waited', async () => {
+    const listeners = new Set();
+    const signal = {
+        addEventListener: (type, listener) => listeners.add(listener),
+        removeEventListener: (type, listener) => listeners.delete(listener)
+    };
+    await new AgentCore().delay(1, signal);
+    assert.strictEqual(listeners.size, 0);
+});
+
+test('a trace references the conversation and replays to the same messages', async () => {
+    const image = `data:image/png;base64,${'A'.repeat(5000)}`;
+    const { agent } = createAgent([
+        { content: null, tool_calls: [{ name: 'add', arguments: { a: 2, b: 3 } }], usage: { promptTokens: 10, completionTokens: 5 } },
+        new LLMError('Overloaded', { retryable: true, retryAfterMs: 1 }),
+        'The sum is 5.'
+    ]);
+    registerAdd(agent);
+    agent.conversation.push({ role: 'user', content: 'Earlier question' }, { role: 'assistant', content: 'Earlier answer' });
+
+    await agent.send([{ type: 'text', text: 'What is 2 + 3?' }, { type: 'image_url', image_url: { url: image } }]);
+    const [trace] = agent.currentSession.traces;
+
+    assert.strictEqual(trace.messages, undefined);
+    assert.strictEqual(trace.messageIndex, 3);
+    assert.deepStrictEqual(trace.output.map(m => m.role), ['assistant', 'tool', 'assistant']);
+    assert.deepStrictEqual(trace.spans.map(span => [span.type, span.outputIndex]), [
+        ['llm', 0], ['tool', 1], ['llm', null], ['llm', 2]
+    ]);
+    assert.strictEqual(trace.spans[0].request.messages[3].content[0].text, 'What is 2 + 3?');
+    assert.ok(!JSON.stringify(trace).includes('AAAA'));
+
+    const replay = await replayTrace(trace, agent.conversation.slice(0, trace.messageIndex));
+    assert.strictEqual(replay.mismatch, null);
+    assert.strictEqual(replay.reason, 'completed');
+    assert.strictEqual(replay.trace.messages.length, 3);
+    assert.match(replay.trace.messages[2].content[1].image_url.url, /^data:image\/png;base64,\[\d+ characters omitted\]$/);
+});
+
+test('request bodies are recorded with long strings cut, unless turned off', async () => {
+    const { agent } = createAgent(['Hello.', 'Bye.']);
+    await agent.send(`Hi ${'x'.repeat(5000)}`);
+    const [span] = agent.currentSession.traces[0].spans;
+    assert.strictEqual(span.request.messages[span.request.messages.length - 1].content, `Hi ${'x'.repeat(3997)}[1003 characters omitted]`);
+
+    agent.traceRecorder.recordBodies = false;
+    await agent.send('Bye');
+    assert.strictEqual(agent.currentSession.traces[1].spans[0].request, undefined);
+});
+
+test('a trace with a context summary replays the summary from its own call', async () => {
+    const { agent } = createAgent(['They asked about a long text.', 'Done.']);
+    agent.contextConfig.contextWindows = [{ model: 'mock', tokens: 1000 }];
+    agent.conversation.push({ role: 'user', content: 'x'.repeat(4000) }, { role: 'assistant', content: 'Read it.' });
+    await agent.send('Thanks');
+    const [trace] = agent.currentSession.traces;
+
+    assert.deepStrictEqual(trace.spans.map(span => [span.type, span.outputIndex]), [['llm', null], ['llm', 0]]);
+    assert.strictEqual(trace.spans[0].message.content, 'They asked about a long text.');
+    assert.strictEqual(trace.spans[1].message, null);
+
+    const replay = await replayTrace(trace, agent.conversation.slice(0, trace.messageIndex));
+    assert.strictEqual(replay.mismatch, null);
+    assert.deepStrictEqual(replay.messages.map(m => m.content), ['Done.']);
+    const [, answer] = replay.trace.spans;
+    assert.match(answer.request.messages[1].content, /^Summary of the earlier conversation:\n\nThey asked about a long text\./);
+});
+
+test('an exported chat imports as the same session', async () => {
+    const { agent } = createAgent([
+        { content: null, tool_calls: [{ name: 'add', arguments: { a: 2, b: 3 } }], usage: { promptTokens: 10, completionTokens: 5 } },
+        'The sum is 5.'
+    ]);
+    registerAdd(agent);
+    await agent.send([{ type: 'text', text: 'What is 2 + 3?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBO' } }]);
+
+    const session = agent.currentSession;
+    session.title = 'Sums';
+    session.contextSummary = { uptoIndex: 0, content: 'Nothing yet.' };
+    session.branches = [
+        { id: 'branch-main', createdAt: 1, messages: session.messages, contextSummary: session.contextSummary },
+        { id: 'branch-2', createdAt: 2, messages: [{ role: 'user', content: 'Other question' }], contextSummary: null }
+    ];
+    session.activeBranchId = 'branch-main';
+    session.dataFiles = [{ name: 'a.csv', size: 8, text: 'x\n1\n', summary: '- files["a.csv"]: array of 1 rows, columns: x' }];
+
+    const data = JSON.parse(JSON.stringify(await agent.buildConversationExport()));
+    assert.deepStrictEqual(agent.validateConversationImport(data), []);
+    const imported = new AgentCore().sessionFromExport(data);
+
+    // As saved, without the keys JSON leaves out
+    const expected = JSON.parse(JSON.stringify(session));
+    assert.notStrictEqual(imported.id, session.id);
+    for (const key of ['title', 'createdAt', 'messages', 'contextSummary', 'activeBranchId', 'branches', 'dataFiles', 'timings', 'usage']) {
+        assert.deepStrictEqual(imported[key], expected[key], key);
+    }
+    assert.strictEqual(imported.branches[0].messages, imported.messages);
+});
+
+test('an import with a malformed message part is refused with a readable error', () => {
+    const agent = new AgentCore();
+    const data = {
+        format: 'llm-agent-poc/conversation',
+        messages: [
+            { role: 'user', content: [{ type: 'image_url' }] },
+            { role: 'assistant', content: null, tool_calls: [{ id: 'call_1' }] },
+            { role: 'tool', tool_call_id: 'call_2', content: 'Orphan' }
+        ]
+    };
+    assert.deepStrictEqual(agent.validateConversationImport(data), [
+        'message 0 needs text content or a list of text and image_url parts',
+        'message 1 has tool calls without an id, function name or arguments',
+        'message 2 answers an unknown tool call'
+    ]);
+});
+
+function assemble(adapter, events) {
+    const assembler = adapter.createStreamAssembler();
+    events.forEach(event => assembler.push(typeof event === 'string' ? event : JSON.stringify(event)));
+    return assembler.result();
+}
+
+test('OpenAI stream: a repeated tool name is not doubled', () => {
+    const delta = (toolCall) => ({ choices: [{ delta: { tool_calls: [toolCall] } }] });
+    const message = assemble(new OpenAIAdapter(), [
+        delta({ index: 0, id: 'call_1', type: 'function', function: { name: 'add', arguments: '' } }),
+        delta({ index: 0, function: { name: 'add', arguments: '{"a":' } }),
+        delta({ index: 0, function: { arguments: '1}' } }),
+        '[DONE]'
+    ]);
+    assert.deepStrictEqual(message.tool_calls, [
+        { id: 'call_1', type: 'function', function: { name: 'add', arguments: '{"a":1}' } }
+    ]);
+});
+
+test('OpenAI stream: fragments without an index follow the id or the latest call', () => {
+    const delta = (toolCall) => ({ choices: [{ delta: { tool_calls: [toolCall] } }] });
+    const message = assemble(new OpenAIAdapter(), [
+        delta({ id: 'call_1', function: { name: 'add', arguments: '{"a":' } }),
+        delta({ function: { arguments: '1}' } }),
+        delta({ id: 'call_2', function: { name: 'sub', arguments: '{}' } }),
+        delta({ id: 'call_1', function: { arguments: '' } }),
+        '[DONE]'
+    ]);
+    assert.deepStrictEqual(message.tool_calls.map(toolCall => [toolCall.id, toolCall.function.name, toolCall.function.arguments]), [
+        ['call_1', 'add', '{"a":1}'],
+        ['call_2', 'sub', '{}']
+    ]);
+});
+
+test('stream usage is requested from api.openai.com only', () => {
+    const adapter = new OpenAIAdapter();
+    const build = (baseUrl) => adapter.buildRequest({
+        config: { model: 'm', apiKey: 'k', baseUrl }, messages: [], tools: [], stream: true
+    }).body;
+    assert.deepStrictEqual(build('https://api.openai.com/v1').stream_options, { include_usage: true });
+    assert.strictEqual(build('https://api.groq.com/openai/v1').stream_options, undefined);
+    assert.strictEqual(build('http://localhost:11434/v1').stream_options, undefined);
+});
+
+test('a response without usage is counted as unreported', async () => {
+    const { agent } = createAgent(['Hello.']);
+    await agent.send('Hi');
+    assert.strictEqual(agent.turnUsage.unreportedCalls, 1);
+    assert.deepStrictEqual(agent.currentSession.usage, { promptTokens: 0, completionTokens: 0, cost: 0, unpricedCalls: 0, unreportedCalls: 1 });
+    assert.strictEqual(agent.currentSession.timings.steps[0].usage, null);
+});
+
+test('Anthropic stream: tool names come from content_block_start only', () => {
+    const message = assemble(new AnthropicAdapter(), [
+        { type: 'message_start', message: { usage: { input_tokens: 12 } } },
+        { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+        { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Adding.' } },
+        { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'add', input: {} } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"a":', name: 'add' } },
+        { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '1}' } },
+        { type: 'content_block_delta', index: 5, delta: { type: 'text_delta', text: 'stray' } },
+        { type: 'message_delta', usage: { output_tokens: 7 } },
+        { type: 'message_stop' }
+    ]);
+    assert.strictEqual(message.content, 'Adding.');
+    assert.deepStrictEqual(message.tool_calls, [
+        { id: 'toolu_1', type: 'function', function: { name: 'add', arguments: '{"a":1}' } }
+    ]);
+    assert.deepStrictEqual(message.usage, { promptTokens: 12, completionTokens: 7 });
+});
@@ -0,0 +1,197 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { AgentCore, AnthropicAdapter, ScriptedLLMAdapter } = require('../agent-core.js');
+
+// Content blocks the server answers with, one reply per request
+const TOOL_USE = [
+    { type: 'text', text: 'Let me add.' },
+    { type: 'tool_use', id: 'toolu_1', name: 'add', input: { a: 2, b: 3 } }
+];
+const ANSWER = [{ type: 'text', text: 'The sum is 5.' }];
+
+// A Messages API stand-in on a free local port that records every request. It answers
+// with a JSON body, or with an event stream when the request asks to stream.
+async function startServer(replies) {
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const request = JSON.parse(body);
+        requests.push({ url: req.url, headers: req.headers, body: request });
+
+        const content = replies[requests.length - 1];
+        const usage = { input_tokens: 20, output_tokens: 10 };
+        if (!request.stream) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ id: 'msg', type: 'message', role: 'assistant', content, usage }));
+            return;
+        }
+
+        const events = [{ type: 'message_start', message: { usage: { input_tokens: usage.input_tokens } } }];
+        content.forEach((block, index) => {
+            if (block.type === 'tool_use') {
+                events.push(
+                    { type: 'content_block_start', index, content_block: { ...block, input: {} } },
+                    { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } }
+                );
+            } else {
+                events.push(
+                    { type: 'content_block_start', index, content_block: { type: 'text', text: '' } },
+                    { type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } }
+                );
+            }
+            events.push({ type: 'content_block_stop', index });
+        });
+        events.push({ type: 'message_delta', usage: { output_tokens: usage.output_tokens } }, { type: 'message_stop' });
+
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        res.end(events.map(event => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join(''));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+function createAgent(server, stream) {
+    const agent = new AgentCore();
+    agent.llmConfig = { provider: 'anthropic', model: 'claude-test', apiKey: 'test-key', baseUrl: server.baseUrl };
+    agent.streamResponses = stream;
+    agent.activeProfile.systemPrompt = 'You add numbers.';
+    agent.registerTool({
+        schema: {
+            name: 'add',
+            description: 'Adds two numbers',
+            parameters: {
+                type: 'object',
+                properties: { a: { type: 'number' }, b: { type: 'number' } },
+                required: ['a', 'b']
+            }
+        },
+        handler: ({ a, b }) => String(a + b)
+    });
+    return agent;
+}
+
+for (const stream of [false, true]) {
+    test(`a tool_use / tool_result round trip ${stream ? 'streamed' : 'as JSON'}`, async (t) => {
+        const server = await startServer([TOOL_USE, ANSWER]);
+        t.after(() => server.close());
+        const agent = createAgent(server, stream);
+
+        assert.strictEqual(await agent.send('What is 2 + 3?'), 'completed');
+        assert.strictEqual(server.requests.length, 2);
+
+        const [first, second] = server.requests;
+        assert.strictEqual(first.url, '/v1/messages');
+        assert.strictEqual(first.headers['x-api-key'], 'test-key');
+        assert.strictEqual(first.headers['anthropic-version'], '2023-06-01');
+        assert.strictEqual(first.body.stream, stream || undefined);
+        assert.strictEqual(first.body.system, 'You add numbers.');
+        assert.deepStrictEqual(first.body.messages, [
+            { role: 'user', content: [{ type: 'text', text: 'What is 2 + 3?' }] }
+        ]);
+        assert.deepStrictEqual(first.body.tools.map(tool => [tool.name, tool.description, tool.input_schema.required]), [
+            ['add', 'Adds two numbers', ['a', 'b']]
+        ]);
+
+        // The system prompt stays out of messages, the tool result answers the tool_use
+        assert.deepStrictEqual(second.body.messages, [
+            { role: 'user', content: [{ type: 'text', text: 'What is 2 + 3?' }] },
+            { role: 'assistant', content: TOOL_USE },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: '5' }] }
+        ]);
+
+        assert.deepStrictEqual(agent.conversation.map(m => [m.role, m.content]), [
+            ['user', 'What is 2 + 3?'],
+            ['assistant', 'Let me add.'],
+            ['tool', '5'],
+            ['assistant', 'The sum is 5.']
+        ]);
+        assert.deepStrictEqual(agent.conversation[1].tool_calls, [
+            { id: 'toolu_1', type: 'function', function: { name: 'add', arguments: '{"a":2,"b":3}' } }
+        ]);
+        assert.strictEqual(agent.currentSession.usage.promptTokens, 40);
+    });
+}
+
+test('toAnthropicMessages joins system messages and merges consecutive user blocks', () => {
+    const { system, messages } = new AnthropicAdapter().toAnthropicMessages([
+        { role: 'system', content: 'First.' },
+        { role: 'system', content: 'Second.' },
+        { role: 'user', content: 'Add these.' },
+        { role: 'assistant', content: null, tool_calls: [
+            { id: 'a', type: 'function', function: { name: 'add', arguments: '{"a":1,"b":2}' } },
+            { id: 'b', type: 'function', function: { name: 'add', arguments: 'not json' } }
+        ] },
+        { role: 'tool', tool_call_id: 'a', content: '3' },
+        { role: 'tool', tool_call_id: 'b', content: 'Error' },
+        { role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:image/png;base64,iVBO' } }] }
+    ]);
+    assert.strictEqual(system, 'First.\n\nSecond.');
+    assert.deepStrictEqual(messages, [
+        { role: 'user', content: [{ type: 'text', text: 'Add these.' }] },
+        { role: 'assistant', content: [
+            { type: 'tool_use', id: 'a', name: 'add', input: { a: 1, b: 2 } },
+            { type: 'tool_use', id: 'b', name: 'add', input: {} }
+        ] },
+        { role: 'user', content: [
+            { type: 'tool_result', tool_use_id: 'a', content: '3' },
+            { type: 'tool_result', tool_use_id: 'b', content: 'Error' },
+            { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBO' } }
+        ] }
+    ]);
+});
+
+test('temperature is capped at 1', () => {
+    const build = (temperature) => new AnthropicAdapter().buildRequest({
+        config: { model: 'claude-test', apiKey: 'k', baseUrl: 'https://api.anthropic.com/v1' },
+        messages: [{ role: 'user', content: 'Hi' }],
+        tools: [],
+        stream: false,
+        maxTokens: 100,
+        temperature
+    }).body.temperature;
+    assert.strictEqual(build(1.5), 1);
+    assert.strictEqual(build(0.3), 0.3);
+});
+
+test('a summarized history still opens with a user turn', async () => {
+    const agent = new AgentCore();
+    const llm = new ScriptedLLMAdapter(['They asked about a long text.', 'Done.']);
+    agent.providerAdapters.scripted = llm;
+    agent.llmConfig = { provider: 'scripted', model: 'mock-large', apiKey: 'unused' };
+    agent.activeProfile.systemPrompt = 'Be brief.';
+    agent.contextConfig.contextWindows = [{ model: 'mock', tokens: 2000 }, { model: 'mock-large', tokens: 1000 }];
+    assert.strictEqual(agent.getContextWindow(), 1000);
+
+    agent.conversation.push(
+        { role: 'user', content: 'x'.repeat(4000) },
+        { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'add', arguments: '{}' } }] },
+        { role: 'tool', tool_call_id: 'call_1', content: '3' },
+        { role: 'assistant', content: 'It is 3.' }
+    );
+    await agent.send('Thanks');
+
+    // The cut lands before the assistant's tool call
+    assert.strictEqual(agent.currentSession.contextSummary.uptoIndex, 1);
+    const { body } = new AnthropicAdapter().buildRequest({
+        config: { model: 'claude-test', apiKey: 'k', baseUrl: 'https://api.anthropic.com/v1' },
+        messages: llm.requests[1].messages,
+        tools: [],
+        stream: false,
+        maxTokens: 100,
+        temperature: 0.7
+    });
+    assert.strictEqual(body.system, 'Be brief.');
+    assert.deepStrictEqual(body.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant', 'user']);
+    assert.match(body.messages[0].content[0].text, /^Summary of the earlier conversation:\n\nThey asked about a long text\./);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('node:vm');
+const { jsSandboxWorker } = require('../js-sandbox.js');
+
+// Starts the worker code in a fresh context standing in for the worker's global scope
+function startWorker() {
+    const posted = [];
+    const context = vm.createContext({
+        console: {},
+        performance,
+        setTimeout,
+        addEventListener: () => {},
+        postMessage: (message) => posted.push(message)
+    });
+    vm.runInContext(`self = globalThis; (${jsSandboxWorker.toString()})();`, context);
+    let nextId = 1;
+    return async (code) => {
+        const id = nextId++;
+        await context.onmessage({ data: { type: 'run', id, code } });
+        return posted.find(message => message.id === id);
+    };
+}
+
+test('returns the value of the last expression', async () => {
+    const run = startWorker();
+    assert.strictEqual((await run('1 + 2')).returnValue, '3');
+    const result = await run('const a = 5;\nconsole.log(a);\na * 2;');
+    assert.strictEqual(result.returnValue, '10');
+    assert.strictEqual(result.stdout, '5\n');
+    assert.strictEqual((await run('await Promise.resolve(7)')).returnValue, '7');
+    assert.strictEqual((await run('if (true) {\n    return 4;\n}')).returnValue, '4');
+});
+
+test('function declarations are hoisted', async () => {
+    const run = startWorker();
+    const result = await run('const r = await main();\nasync function main() {\n    return 42;\n}\nr');
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.returnValue, '42');
+});
+
+test('template literals and nested blocks are left as written', async () => {
+    const run = startWorker();
+    const code = [
+        'const sql = `',
+        'const x = 1',
+        'let y = 2',
+        '`;',
+        'function outer() {',
+        '    const inner = { a: 1 };',
+        '    return inner.a;',
+        '}',
+        'sql + outer()'
+    ].join('\n');
+    const result = await run(code);
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.returnValue, '\nconst x = 1\nlet y = 2\n1');
+});
+
+test('declarations without an initializer work', async () => {
+    const run = startWorker();
+    assert.strictEqual((await run('let x;\nx = 3;\nx')).returnValue, '3');
+});
+
+test('state persists between runs, declarations do not', async () => {
+    const run = startWorker();
+    await run('const local = 1;\nstate.total = 5;');
+    assert.strictEqual((await run('state.total * 2')).returnValue, '10');
+    assert.strictEqual((await run('typeof local')).returnValue, 'undefined');
+});
+
+test('a runtime SyntaxError does not run the code again', async () => {
+    const run = startWorker();
+    const result = await run('state.runs = (state.runs || 0) + 1;\nJSON.parse("x");\nreturn 1;');
+    assert.match(result.error, /^SyntaxError/);
+    assert.strictEqual((await run('state.runs')).returnValue, '1');
+});
+
+test('a brace-less loop body is not turned into a return', async () => {
+    const run = startWorker();
+    await run('state.count = 0;\nfor (let i = 0; i < 3; i++)\n    state.count++');
+    assert.strictEqual((await run('state.count')).returnValue, '3');
+});
+
+test('a last line that continues the statement before it is not returned alone', async () => {
+    const run = startWorker();
+    // One statement, let total = 10 - 3, so there is nothing to return
+    const result = await run('let total = 10\n- 3');
+    assert.strictEqual(result.error, null);
+    assert.strictEqual(result.returnValue, undefined);
+    assert.strictEqual((await run('let total = 10\n- 3\ntotal')).returnValue, '7');
+    assert.strictEqual((await run('const rows = [[1, 2]]\n[0]\nrows.length')).returnValue, '2');
+});
+
+test('syntax errors are reported', async () => {
+    const run = startWorker();
+    const result = await run('const = 1');
+    assert.match(result.error, /^SyntaxError/);
+});
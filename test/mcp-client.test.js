@@ -0,0 +1,240 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('node:http');
+const { MCPClient, MCPError } = require('../agent-core.js');
+
+const TOOLS = [
+    { name: 'echo', inputSchema: { type: 'object', properties: { text: { type: 'string' } } } },
+    { name: 'pixel', inputSchema: { type: 'object', properties: {} } },
+    { name: 'fail', inputSchema: { type: 'object', properties: {} } }
+];
+
+function handle({ id, method, params }) {
+    const ok = (result) => ({ jsonrpc: '2.0', id, result });
+    if (method === 'initialize') {
+        return ok({ protocolVersion: params.protocolVersion, capabilities: { tools: {} }, serverInfo: { name: 'test', version: '1' } });
+    }
+    if (method === 'tools/list') {
+        // Two pages, to exercise nextCursor
+        return params.cursor ? ok({ tools: TOOLS.slice(2) }) : ok({ tools: TOOLS.slice(0, 2), nextCursor: 'page-2' });
+    }
+    if (method === 'tools/call' && params.name === 'echo') {
+        return ok({ content: [{ type: 'text', text: `echo: ${params.arguments.text}` }] });
+    }
+    if (method === 'tools/call' && params.name === 'pixel') {
+        return ok({ content: [{ type: 'image', mimeType: 'image/png', data: 'iVBORw0KGgo=' }] });
+    }
+    if (method === 'tools/call' && params.name === 'fail') {
+        return ok({ content: [{ type: 'text', text: 'boom' }], isError: true });
+    }
+    return { jsonrpc: '2.0', id, error: { code: -32601, message: `Unknown method ${method}` } };
+}
+
+// An MCP server on a free local port. mode is 'json' or 'sse' (Streamable HTTP answering
+// with JSON or an event stream), 'legacy' (HTTP+SSE transport) or 'unauthorized' (401 to
+// everything)
+async function startServer(mode) {
+    const log = [];
+    let sessions = 0;
+    let session = null;
+    let legacyStream = null;
+
+    const server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const message = body ? JSON.parse(body) : null;
+        log.push(`${req.method} ${req.url} ${message ? message.method : ''}`.trim());
+
+        if (mode === 'unauthorized') {
+            res.writeHead(401).end('Missing token');
+            return;
+        }
+        if (mode === 'legacy') {
+            if (req.method === 'GET') {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write('event: endpoint\ndata: /messages?session=1\n\n');
+                legacyStream = res;
+            } else if (req.url.startsWith('/messages')) {
+                res.writeHead(202).end();
+                if (message.id !== undefined) {
+                    legacyStream.write(`event: message\ndata: ${JSON.stringify(handle(message))}\n\n`);
+                }
+            } else {
+                res.writeHead(405).end();
+            }
+            return;
+        }
+
+        if (req.method === 'DELETE') {
+            session = null;
+            res.writeHead(200).end();
+            return;
+        }
+        if (message.method === 'initialize') {
+            session = `session-${++sessions}`;
+        } else if (req.headers['mcp-session-id'] !== session) {
+            res.writeHead(404).end('Unknown session');
+            return;
+        }
+        if (message.id === undefined) {
+            res.writeHead(202).end();
+            return;
+        }
+        if (mode === 'sse') {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Mcp-Session-Id': session });
+            // A notification ahead of the reply
+            res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/message', params: {} })}\n\n`);
+            res.end(`data: ${JSON.stringify(handle(message))}\n\n`);
+        } else {
+            res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': session });
+            res.end(JSON.stringify(handle(message)));
+        }
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/mcp`,
+        log,
+        expireSession: () => { session = null; },
+        close: () => {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+for (const mode of ['json', 'sse', 'legacy']) {
+    test(`initialize, tools/list and tools/call over ${mode}`, async (t) => {
+        const server = await startServer(mode);
+        const client = new MCPClient(server.url);
+        t.after(async () => {
+            await client.close();
+            await server.close();
+        });
+
+        const result = await client.connect();
+        assert.strictEqual(client.serverInfo.name, 'test');
+        assert.strictEqual(result.protocolVersion, mode === 'legacy' ? '2024-11-05' : '2025-03-26');
+        assert.strictEqual(Boolean(client.legacy), mode === 'legacy');
+
+        const tools = await client.listTools();
+        assert.deepStrictEqual(tools.map(tool => tool.name), ['echo', 'pixel', 'fail']);
+
+        assert.deepStrictEqual(await client.callTool('echo', { text: 'hi' }), {
+            content: [{ type: 'text', text: 'echo: hi' }]
+        });
+        const image = await client.callTool('pixel', {});
+        assert.strictEqual(image.content[0].type, 'image');
+        assert.strictEqual(image.content[0].mimeType, 'image/png');
+        const failed = await client.callTool('fail', {});
+        assert.strictEqual(failed.isError, true);
+        assert.strictEqual(failed.content[0].text, 'boom');
+
+        await assert.rejects(client.request('prompts/list', {}), MCPError);
+    });
+}
+
+test('the legacy transport posts to the endpoint named by the event stream', async (t) => {
+    const server = await startServer('legacy');
+    const client = new MCPClient(server.url);
+    t.after(async () => {
+        await client.close();
+        await server.close();
+    });
+
+    await client.connect();
+    assert.strictEqual(client.legacy.endpoint, server.url.replace('/mcp', '/messages?session=1'));
+    assert.deepStrictEqual(server.log, [
+        'POST /mcp initialize',
+        'GET /mcp',
+        'POST /messages?session=1 initialize',
+        'POST /messages?session=1 notifications/initialized'
+    ]);
+});
+
+test('the legacy event stream outlives the signal it was opened with', async (t) => {
+    const server = await startServer('legacy');
+    const client = new MCPClient(server.url);
+    t.after(async () => {
+        await client.close();
+        await server.close();
+    });
+
+    const controller = new AbortController();
+    await client.connect(controller.signal);
+    controller.abort();
+
+    const result = await client.callTool('echo', { text: 'still open' });
+    assert.strictEqual(result.content[0].text, 'echo: still open');
+});
+
+test('legacy requests stop listening for abort once answered', async (t) => {
+    const server = await startServer('legacy');
+    const client = new MCPClient(server.url);
+    t.after(async () => {
+        await client.close();
+        await server.close();
+    });
+    await client.connect();
+
+    // Tracks the listeners the client adds itself; fetch adds its own
+    const { signal } = new AbortController();
+    const listening = new Set();
+    const add = signal.addEventListener.bind(signal);
+    const remove = signal.removeEventListener.bind(signal);
+    signal.addEventListener = (type, listener, options) => {
+        const caller = new Error().stack.split('\n')[2];
+        if (caller.includes('agent-core.js')) listening.add(listener);
+        add(type, listener, options);
+    };
+    signal.removeEventListener = (type, listener) => {
+        listening.delete(listener);
+        remove(type, listener);
+    };
+
+    await client.callTool('echo', { text: 'one' }, signal);
+    await client.callTool('echo', { text: 'two' }, signal);
+    assert.strictEqual(listening.size, 0);
+    assert.strictEqual(client.legacy.pending.size, 0);
+});
+
+test('an expired session is initialized again and the request retried', async (t) => {
+    const server = await startServer('json');
+    const client = new MCPClient(server.url);
+    t.after(async () => {
+        await client.close();
+        await server.close();
+    });
+
+    await client.connect();
+    assert.strictEqual(client.sessionId, 'session-1');
+    server.expireSession();
+
+    const result = await client.callTool('echo', { text: 'again' });
+    assert.strictEqual(result.content[0].text, 'echo: again');
+    assert.strictEqual(client.sessionId, 'session-2');
+    assert.deepStrictEqual(server.log.slice(-4), [
+        'POST /mcp tools/call',
+        'POST /mcp initialize',
+        'POST /mcp notifications/initialized',
+        'POST /mcp tools/call'
+    ]);
+});
+
+test('an authorization error is reported instead of trying the legacy transport', async (t) => {
+    const server = await startServer('unauthorized');
+    const client = new MCPClient(server.url);
+    t.after(async () => {
+        await client.close();
+        await server.close();
+    });
+
+    await assert.rejects(client.connect(), (error) => {
+        assert.ok(error instanceof MCPError);
+        assert.strictEqual(error.status, 401);
+        assert.match(error.message, /401.*Missing token/);
+        return true;
+    });
+    assert.deepStrictEqual(server.log, ['POST /mcp initialize']);
+    assert.strictEqual(client.legacy, null);
+});